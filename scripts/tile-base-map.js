@@ -0,0 +1,221 @@
+// tile-base-map.js
+// Cuts a base image into a z/x/y pyramid of 256px PNG tiles laid out for L.CRS.Simple, next to a
+// tiles.json manifest the app looks for before drawing the image as a single overlay:
+//
+//   npm run tiles -- public/carte.svg --legacy-viewbox
+//
+// writes public/carte.tiles/{z}/{x}/{y}.png and public/carte.tiles/tiles.json. SVG is rendered
+// tile by tile, so it can go as deep as wanted; PNG and JPEG stop at their own resolution.
+//
+// Options:
+//   --bounds south,west,north,east  where the image lies, in map units (default: the whole default map)
+//   --min-zoom n, --max-zoom n      zoom levels to render (default: from about one tile to the image's resolution)
+//   --legacy-viewbox                draw an SVG the way maps saved before base images existed did
+//   --out dir                       output directory (default: next to the image, <name>.tiles)
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+
+const TILE_SIZE = 256;
+// DEFAULT_MAP_SIZE in src/Maps/MapUtils.jsx
+const DEFAULT_MAP_SIZE = 10000000;
+// How wide an SVG gets at the default max zoom, it has no resolution of its own
+const DEFAULT_SVG_WIDTH = 16384;
+
+const CSS_UNITS = { px: 1, in: 96, cm: 96 / 2.54, mm: 96 / 25.4, pt: 96 / 72, pc: 16 };
+
+const fail = (message) => {
+    console.error(message);
+    process.exit(1);
+};
+
+const loadSharp = async () => {
+    try {
+        return (await import('sharp')).default;
+    } catch (error) {
+        console.error(error.message);
+        return fail('sharp is needed to render tiles, run npm install first');
+    }
+};
+
+const parseBounds = (value) => {
+    const [south, west, north, east] = value.split(',').map(Number);
+    if (![south, west, north, east].every(Number.isFinite) || south >= north || west >= east) {
+        fail(`Invalid bounds "${value}", expected south,west,north,east`);
+    }
+    return [[south, west], [north, east]];
+};
+
+const parseZoom = (value, name) => {
+    if (value === undefined) return undefined;
+    const zoom = Number(value);
+    if (!Number.isInteger(zoom)) fail(`--${name} must be a whole number`);
+    return zoom;
+};
+
+// An SVG length in px, or NaN for percentages and missing values
+const parseLength = (value) => {
+    const match = /^\s*([\d.eE+-]+)\s*(px|in|cm|mm|pt|pc)?\s*$/.exec(value || '');
+    return match ? parseFloat(match[1]) * CSS_UNITS[match[2] || 'px'] : NaN;
+};
+
+const readAttribute = (tag, name) => new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`).exec(tag)?.[1];
+
+/**
+ * The SVG markup without its prologue, and the size its root is drawn at when nested in another
+ * SVG: its width and height, else its viewBox.
+ */
+const readSvg = (source) => {
+    const markup = source.replace(/<\?xml[\s\S]*?\?>/, '').replace(/<!DOCTYPE[\s\S]*?>/i, '').trim();
+    const rootTag = /<svg\b[^>]*>/.exec(markup)?.[0];
+    if (!rootTag) fail('No <svg> element found');
+    const viewBox = (readAttribute(rootTag, 'viewBox') || '').split(/[\s,]+/).map(Number);
+    const width = parseLength(readAttribute(rootTag, 'width'));
+    const height = parseLength(readAttribute(rootTag, 'height'));
+    return {
+        markup,
+        width: width > 0 ? width : viewBox[2],
+        height: height > 0 ? height : viewBox[3]
+    };
+};
+
+/**
+ * One tile as an SVG document. Its user units are map units with y flipped, so the tile's viewBox
+ * is simply its square of the CRS.Simple pixel grid divided by the zoom's scale.
+ */
+const svgTile = (svg, bounds, legacyViewBox, zoom, x, y) => {
+    const [[south, west], [north, east]] = bounds;
+    const size = TILE_SIZE / 2 ** zoom;
+    // The app forced old maps into a 1000x1000 viewBox, the image keeping its own proportions in it
+    const placement = legacyViewBox
+        ? 'viewBox="0 0 1000 1000"'
+        : `viewBox="0 0 ${svg.width} ${svg.height}" preserveAspectRatio="none"`;
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${TILE_SIZE}" height="${TILE_SIZE}" ` +
+        `viewBox="${x * size} ${y * size} ${size} ${size}" preserveAspectRatio="none">` +
+        `<svg x="${west}" y="${-north}" width="${east - west}" height="${north - south}" ${placement}>` +
+        `${svg.markup}</svg></svg>`;
+};
+
+// Tiles of the zoom level overlapping the bounds, as [x, y] ranges
+const tileRange = (bounds, zoom) => {
+    const [[south, west], [north, east]] = bounds;
+    const scale = 2 ** zoom / TILE_SIZE;
+    return {
+        minX: Math.floor(west * scale),
+        maxX: Math.ceil(east * scale) - 1,
+        minY: Math.floor(-north * scale),
+        maxY: Math.ceil(-south * scale) - 1
+    };
+};
+
+/**
+ * One tile cut from the decoded raster: the part of the image under the tile, resized to the
+ * tile's scale and placed on a transparent square.
+ */
+const rasterTile = async (sharp, raster, bounds, zoom, x, y) => {
+    const [[south, west], [north, east]] = bounds;
+    const size = TILE_SIZE / 2 ** zoom;
+    const tileWest = x * size;
+    const tileNorth = -y * size;
+    const left = Math.max(west, tileWest);
+    const right = Math.min(east, tileWest + size);
+    const top = Math.min(north, tileNorth);
+    const bottom = Math.max(south, tileNorth - size);
+
+    // Source pixels and tile pixels covered by the overlap
+    const pixelsPerUnitX = raster.info.width / (east - west);
+    const pixelsPerUnitY = raster.info.height / (north - south);
+    const sourceLeft = Math.floor((left - west) * pixelsPerUnitX);
+    const sourceTop = Math.floor((north - top) * pixelsPerUnitY);
+    const sourceWidth = Math.min(raster.info.width - sourceLeft, Math.max(1, Math.ceil((right - west) * pixelsPerUnitX) - sourceLeft));
+    const sourceHeight = Math.min(raster.info.height - sourceTop, Math.max(1, Math.ceil((north - bottom) * pixelsPerUnitY) - sourceTop));
+    const tileLeft = Math.round((left - tileWest) / size * TILE_SIZE);
+    const tileTop = Math.round((tileNorth - top) / size * TILE_SIZE);
+    const tileWidth = Math.min(TILE_SIZE - tileLeft, Math.max(1, Math.round((right - left) / size * TILE_SIZE)));
+    const tileHeight = Math.min(TILE_SIZE - tileTop, Math.max(1, Math.round((top - bottom) / size * TILE_SIZE)));
+
+    const { width, height, channels } = raster.info;
+    const part = await sharp(raster.data, { raw: { width, height, channels } })
+        .extract({ left: sourceLeft, top: sourceTop, width: sourceWidth, height: sourceHeight })
+        .resize(tileWidth, tileHeight, { fit: 'fill' })
+        .png()
+        .toBuffer();
+    return sharp({ create: { width: TILE_SIZE, height: TILE_SIZE, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+        .composite([{ input: part, left: tileLeft, top: tileTop }])
+        .png();
+};
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            bounds: { type: 'string' },
+            'min-zoom': { type: 'string' },
+            'max-zoom': { type: 'string' },
+            'legacy-viewbox': { type: 'boolean', default: false },
+            out: { type: 'string' }
+        }
+    });
+    const [input] = positionals;
+    if (!input) fail('Usage: npm run tiles -- <image> [--bounds south,west,north,east] [--min-zoom n] [--max-zoom n] [--legacy-viewbox] [--out dir]');
+
+    const sharp = await loadSharp();
+    const isSvg = path.extname(input).toLowerCase() === '.svg';
+    const legacyViewBox = values['legacy-viewbox'];
+    if (legacyViewBox && !isSvg) fail('--legacy-viewbox only applies to SVG images');
+
+    const half = DEFAULT_MAP_SIZE / 2;
+    const bounds = values.bounds ? parseBounds(values.bounds) : [[-half, -half], [half, half]];
+    const boundsWidth = bounds[1][1] - bounds[0][1];
+    const boundsHeight = bounds[1][0] - bounds[0][0];
+
+    let svg = null;
+    let raster = null;
+    if (isSvg) {
+        svg = readSvg(await readFile(input, 'utf8'));
+        if (!(svg.width > 0 && svg.height > 0)) fail('The SVG has no size or viewBox');
+    } else {
+        raster = await sharp(input, { limitInputPixels: false }).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    }
+
+    const sourceWidth = raster ? raster.info.width : DEFAULT_SVG_WIDTH;
+    // From about one tile for the whole image
+    const minZoom = parseZoom(values['min-zoom'], 'min-zoom') ?? Math.ceil(Math.log2(TILE_SIZE / Math.max(boundsWidth, boundsHeight)));
+    // Deep enough for one screen pixel per image pixel
+    const maxZoom = parseZoom(values['max-zoom'], 'max-zoom') ?? Math.ceil(Math.log2(sourceWidth / boundsWidth));
+    if (minZoom > maxZoom) fail(`--min-zoom (${minZoom}) is above --max-zoom (${maxZoom})`);
+
+    const outDir = values.out || path.join(path.dirname(input), `${path.basename(input, path.extname(input))}.tiles`);
+    let count = 0;
+    for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+        const { minX, maxX, minY, maxY } = tileRange(bounds, zoom);
+        console.log(`Zoom ${zoom}: ${(maxX - minX + 1) * (maxY - minY + 1)} tiles`);
+        for (let x = minX; x <= maxX; x++) {
+            await mkdir(path.join(outDir, String(zoom), String(x)), { recursive: true });
+            for (let y = minY; y <= maxY; y++) {
+                const file = path.join(outDir, String(zoom), String(x), `${y}.png`);
+                const tile = svg
+                    ? sharp(Buffer.from(svgTile(svg, bounds, legacyViewBox, zoom, x, y))).png()
+                    : await rasterTile(sharp, raster, bounds, zoom, x, y);
+                await tile.toFile(file);
+                count++;
+            }
+        }
+    }
+
+    // Read by loadTileManifest in src/Maps/BaseImages.jsx
+    const manifest = {
+        source: path.basename(input),
+        tileSize: TILE_SIZE,
+        format: 'png',
+        minZoom,
+        maxZoom,
+        bounds,
+        legacyViewBox
+    };
+    await writeFile(path.join(outDir, 'tiles.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+    console.log(`Wrote ${count} tiles to ${outDir}`);
+}
+
+main().catch(error => fail(error.stack || error.message));
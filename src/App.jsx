@@ -1,5 +1,5 @@
 // App.jsx
-import React, { useCallback, useEffect, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { MapContainer, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
@@ -9,103 +9,67 @@ import 'leaflet-draw/dist/leaflet.draw.css';
 import DrawControl from './DrawControl';
 import WebSocketService from "./Messaging/WebSocketService.jsx";
 import FoldSidebar from "./Sidebar/Actions.jsx";
-import MarkerPopup from "./Sidebar/MarkerPopup.jsx";
-import {loadInitialMapData, processBulkAddPacket} from "./Messaging/MapLoader.jsx";
-
-const bounds = [[-10000000/2, -10000000/2], [10000000/2, 10000000/2]];
-
-function getShapeStats(shape) {
-    if (!shape) return null;
-    const { geometry, properties } = shape;
-    const stats = { type: properties.type, color: properties.color };
-
-    const METERS_TO_KM = 1000;
-    const SQ_METERS_TO_SQ_KM = 1_000_000;
-
-    switch (geometry.type) {
-        case 'Polygon': {
-            const coords = geometry.coordinates[0];
-            const areaInSqMeters = coords.reduce((sum, [x1, y1], i) => {
-                const [x2, y2] = coords[(i + 1) % coords.length];
-                return sum + (x1 * y2 - x2 * y1);
-            }, 0) / 2;
-            stats.area = areaInSqMeters / SQ_METERS_TO_SQ_KM; // Convert to km²
-
-            const perimeterInMeters = coords.reduce((sum, [x1, y1], i) => {
-                const [x2, y2] = coords[(i + 1) % coords.length];
-                return sum + Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
-            }, 0);
-            stats.perimeter = perimeterInMeters / METERS_TO_KM; // Convert to km
-            break;
-        }
-        case 'LineString': {
-            const lengthInMeters = geometry.coordinates.reduce((sum, [x1, y1], i, arr) =>
-                    i > 0 ? sum + Math.sqrt((x1 - arr[i - 1][0]) ** 2 + (y1 - arr[i - 1][1]) ** 2) : 0
-                , 0);
-            stats.length = lengthInMeters / METERS_TO_KM; // Convert to km
-            break;
-        }
-        case 'Point': {
-            stats.position = geometry.coordinates;
-            break;
-        }
-        case 'Circle': {
-            if (properties.radius) {
-                const radiusInMeters = properties.radius; // Assuming radius is in meters
-                const areaInSqMeters = Math.PI * radiusInMeters * radiusInMeters;
-                stats.area = areaInSqMeters / SQ_METERS_TO_SQ_KM; // Convert to km²
-
-                const perimeterInMeters = 2 * Math.PI * radiusInMeters;
-                stats.perimeter = perimeterInMeters / METERS_TO_KM; // Convert to km
-            }
-            stats.position = geometry.coordinates;
-            break;
-        }
-        default:
-            break;
-    }
-    return stats;
-}
-
-function CustomSVGOverlay({ url, bounds }) {
-    const map = useMap();
-    const overlayRef = useRef(null);
-
-    useEffect(() => {
-        let svgElement;
-
-        fetch(url)
-            .then(response => response.text())
-            .then(svgContent => {
-                svgElement = document.createElementNS("http://www.w3.org/2000/svg", "svg");
-                svgElement.innerHTML = svgContent;
+import SearchPopup from "./Sidebar/SearchPopup.jsx";
+import HistoryButtons from "./Sidebar/HistoryButtons.jsx";
+import DescriptionEditor from "./Sidebar/DescriptionEditor.jsx";
+import LayerPanel from "./Sidebar/LayerPanel.jsx";
+import ImportDialog from "./Sidebar/ImportDialog.jsx";
+import ConnectionStatus from "./Sidebar/ConnectionStatus.jsx";
+import ConflictDialog from "./Sidebar/ConflictDialog.jsx";
+import PresenceList from "./Sidebar/PresenceList.jsx";
+import PresenceLayer from "./Map/PresenceLayer.jsx";
+import ScaleCalibration from "./Map/ScaleCalibration.jsx";
+import MeasureTool from "./Map/MeasureTool.jsx";
+import RouteLayer from "./Map/RouteLayer.jsx";
+import LabelLayer from "./Map/LabelLayer.jsx";
+import DiffLayer from "./Map/DiffLayer.jsx";
+import BaseImageLayer from "./Map/BaseImageLayer.jsx";
+import BaseImageEditor from "./Map/BaseImageEditor.jsx";
+import ScalePanel from "./Sidebar/ScalePanel.jsx";
+import MeasurePanel from "./Sidebar/MeasurePanel.jsx";
+import RoutePanel from "./Sidebar/RoutePanel.jsx";
+import TerritoryTools from "./Sidebar/TerritoryTools.jsx";
+import PartTools from "./Sidebar/PartTools.jsx";
+import MapPicker from "./Sidebar/MapPicker.jsx";
+import BaseMapPanel from "./Sidebar/BaseMapPanel.jsx";
+import TimelinePanel from "./Sidebar/TimelinePanel.jsx";
+import DiffPanel from "./Sidebar/DiffPanel.jsx";
+import LoginDialog from "./Sidebar/LoginDialog.jsx";
+import ToastContainer from "./Sidebar/ToastContainer.jsx";
+import {ActionButton} from "./Sidebar/Actions.jsx";
+import {DEFAULT_LAYER_ID, findLayer, getShapeLayerId, normalizeLayers} from "./Layers/LayerUtils.jsx";
+import {compareShapeSets, findGeometryError, toFeatureCollection} from "./Geometry/GeoJsonUtils.jsx";
+import {DEFAULT_SNAP_KM, buildRouteNetwork, findRoute} from "./Geometry/Routing.jsx";
+import {applyBooleanOperation, isLineShape, isPolygonShape} from "./Geometry/BooleanOps.jsx";
+import {DISTANCE_UNITS, formatArea, formatDistance, getPreferredUnit, getShapeStats, normalizeSettings, savePreferredUnit} from "./Geometry/Measure.jsx";
+import {stampVersion} from "./Messaging/Versioning.jsx";
+import {reconcileWithServer} from "./Messaging/Resync.jsx";
+import {getLocalUser, saveLocalUser} from "./Messaging/PresenceIdentity.jsx";
+import AuthService, {ROLES, canEditShape} from "./Messaging/AuthService.jsx";
+import HistoryService, {applyShapeChanges} from "./History/HistoryService.jsx";
+import SnapshotService, {restoreSnapshot} from "./History/SnapshotService.jsx";
+import {getTimelineDates, isShapeValidAt} from "./History/Timeline.jsx";
+import {createMap, deleteMap, loadInitialMapData, loadMapList, processBulkAddPacket, updateMap, uploadBaseImage} from "./Messaging/MapLoader.jsx";
+import {createMapBounds, getUrlMapId, normalizeMap, setUrlMapId} from "./Maps/MapUtils.jsx";
+import {readDeepLink, writeDeepLink} from "./Maps/DeepLinks.jsx";
+import {boundsForImageSize, createBaseImage, fitBoundsToControlPoints, readImageSize} from "./Maps/BaseImages.jsx";
+import {showToast} from "./Utils/Toasts.jsx";
 
-                svgElement.setAttribute('viewBox', '0 0 1000 1000');
+const upsertShape = (shapes, shape) => shapes.some(s => s.id === shape.id)
+    ? shapes.map(s => s.id === shape.id ? shape : s)
+    : [...shapes, shape];
 
-                const svgOverlay = L.svgOverlay(svgElement, bounds);
-                svgOverlay.addTo(map);
-                overlayRef.current = svgOverlay;
-            })
-            .catch(error => console.error("Failed to load SVG for SVGOverlay:", error));
-
-        return () => {
-            if (overlayRef.current) {
-                overlayRef.current.remove();
-            }
-        };
-    }, [map, url, bounds]);
-
-    return null;
-}
-
-function MapProvider({ children, setMapInstance, setIsMapFlying }) {
+function MapProvider({ children, setMapInstance, setIsMapFlying, onViewChange }) {
     const map = useMap();
 
     useEffect(() => {
         setMapInstance(map);
 
         const onMoveStart = () => setIsMapFlying(true);
-        const onMoveEnd = () => setIsMapFlying(false);
+        const onMoveEnd = () => {
+            setIsMapFlying(false);
+            onViewChange({ center: map.getCenter(), zoom: map.getZoom() });
+        };
 
         map.on('movestart', onMoveStart);
         map.on('moveend', onMoveEnd);
@@ -114,43 +78,153 @@ function MapProvider({ children, setMapInstance, setIsMapFlying }) {
             map.off('movestart', onMoveStart);
             map.off('moveend', onMoveEnd);
         };
-    }, [map, setMapInstance, setIsMapFlying]);
+    }, [map, setMapInstance, setIsMapFlying, onViewChange]);
 
     return children;
 }
 
 export default function App() {
+    // What a shared link asks to show, read once when the page opens
+    const [initialLink] = useState(readDeepLink);
     const [shapes, setShapes] = useState([]);
     const [selectedId, setSelectedId] = useState(null);
     const [isEditing, setIsEditing] = useState(false);
     const [showSidebar, setshowSidebar] = useState(false);
     const [mapInstance, setMapInstance] = useState(null);
     const [isMapFlying, setIsMapFlying] = useState(false);
+    const [mapView, setMapView] = useState(null); // { center, zoom } after the last move
+    const [layers, setLayers] = useState(() => normalizeLayers([]));
+    const [hiddenLayerIds, setHiddenLayerIds] = useState(() => new Set(initialLink.hiddenLayerIds || []));
+    const [activeLayerId, setActiveLayerId] = useState(DEFAULT_LAYER_ID);
+    // Only one of the bottom-left panels ('maps', 'basemap', 'layers', 'scale', 'measure', 'route', 'timeline') is open at a time
+    const [openPanel, setOpenPanel] = useState(initialLink.panel);
+    const [showImport, setShowImport] = useState(false);
+    const [conflicts, setConflicts] = useState([]);
+    // Last state of every shape as confirmed by the server, the base for conflict detection on reconnect
+    const knownShapesRef = useRef(new Map());
+    // A linked view waiting for the map list, shown instead of the whole map
+    const pendingLinkViewRef = useRef(initialLink.view);
+    // { id, focus } of a linked shape to select and pop up once loaded; focus when the link has no view
+    const [linkedShape, setLinkedShape] = useState(initialLink.shapeId != null ? { id: initialLink.shapeId, focus: !initialLink.view } : null);
+    const [user, setUser] = useState(getLocalUser);
+    const [peers, setPeers] = useState([]);
+    const [editAnywayIds, setEditAnywayIds] = useState(() => new Set());
+    const [session, setSession] = useState(() => AuthService.getSession());
+    const [showLogin, setShowLogin] = useState(() => !AuthService.isLoggedIn());
+    const [settings, setSettings] = useState(() => normalizeSettings());
+    const [distanceUnit, setDistanceUnit] = useState(getPreferredUnit);
+    const [isCalibrating, setIsCalibrating] = useState(false);
+    const [measuredDistance, setMeasuredDistance] = useState(null);
+    const [measureMode, setMeasureMode] = useState('distance');
+    const [measureResult, setMeasureResult] = useState(null);
+    const [measureRun, setMeasureRun] = useState(0);
+    const [routeStartId, setRouteStartId] = useState(null);
+    const [routeEndId, setRouteEndId] = useState(null);
+    const [routeOptimize, setRouteOptimize] = useState('time');
+    const [snapping, setSnapping] = useState(true);
+    const [sharedEdges, setSharedEdges] = useState(false);
+    const [partDrawing, setPartDrawing] = useState(null); // { shapeId, mode } while drawing a part, hole or branch
+    const [timelineDate, setTimelineDate] = useState(null); // in-game 'YYYY-MM-DD' shown, null for every shape
+    const [snapshots, setSnapshots] = useState([]);
+    // { title, from, to, source } compared in the diff view; a null side stands for the live shapes
+    const [diffView, setDiffView] = useState(null);
+    const [showLabels, setShowLabels] = useState(true);
+    const [maps, setMaps] = useState([]); // empty on servers hosting a single map
+    const [mapId, setMapId] = useState(getUrlMapId); // null on servers hosting a single map
+    const [mapsLoaded, setMapsLoaded] = useState(false);
+    const [baseImagesDraft, setBaseImagesDraft] = useState(null); // unsaved base images, null when untouched
+    const [editedBaseImageId, setEditedBaseImageId] = useState(null);
+    const [baseImageMode, setBaseImageMode] = useState('corners');
+    const [controlPoints, setControlPoints] = useState([]);
+    const [isUploadingImage, setIsUploadingImage] = useState(false);
+
+    const currentMap = useMemo(() => maps.find(map => map.id === mapId) || normalizeMap({ id: mapId }), [maps, mapId]);
+    // The draft only shows while the base map panel is open
+    const baseImages = openPanel === 'basemap' && baseImagesDraft ? baseImagesDraft : currentMap.baseImages;
+    const editedBaseImage = openPanel === 'basemap' ? baseImages.find(image => image.id === editedBaseImageId) : null;
+
+    const canEdit = session.role !== ROLES.VIEWER;
+    const isAdmin = session.role === ROLES.ADMIN;
+    const isShapeEditable = useCallback((shape, layerId) => canEditShape(session, shape, layerId), [session]);
 
     const selectedShape = shapes.find(s => s.id === selectedId);
-    const stats = getShapeStats(selectedShape);
+    const selectedLayer = selectedShape ? findLayer(layers, getShapeLayerId(selectedShape, layers)) : null;
+    const isSelectedLocked = !!selectedLayer?.locked;
+
+    // Shapes other users currently have in edit mode, keyed by shape id
+    const remoteEditors = useMemo(
+        () => new Map(peers.filter(peer => peer.editingId != null).map(peer => [peer.editingId, peer])),
+        [peers]
+    );
+    const readOnlyIds = useMemo(
+        () => new Set([...remoteEditors.keys()].filter(id => !editAnywayIds.has(id))),
+        [remoteEditors, editAnywayIds]
+    );
+    const selectedEditor = remoteEditors.get(selectedId);
+    const isSelectedForbidden = !!selectedShape && !isShapeEditable(selectedShape, selectedLayer.id);
+    const isSelectedReadOnly = isSelectedLocked || isSelectedForbidden || readOnlyIds.has(selectedId);
+    const stats = getShapeStats(selectedShape, settings.unitsPerKm);
     const markers = shapes.filter(s => s.properties.type === "marker");
+    const canCombineSelected = isPolygonShape(selectedShape) && !isSelectedReadOnly;
+    const selectedPartKind = isPolygonShape(selectedShape) ? 'polygon' : (isLineShape(selectedShape) ? 'polyline' : null);
+    // Only while the shape is still selected and editable in edit mode
+    const activePartDrawing = partDrawing && partDrawing.shapeId === selectedId && isEditing && !isSelectedReadOnly ? partDrawing : null;
+    const endPartDrawing = useCallback(() => setPartDrawing(null), []);
+    const isWholeShapeEditable = (shape) => {
+        const layer = findLayer(layers, getShapeLayerId(shape, layers));
+        return !layer?.locked && !readOnlyIds.has(shape.id) && isShapeEditable(shape, layer?.id);
+    };
+
+    const isTimeline = openPanel === 'timeline';
+    const timelineDates = useMemo(() => isTimeline ? getTimelineDates(shapes) : [], [isTimeline, shapes]);
+    // The timeline only filters while its panel is open
+    const renderedShapes = useMemo(
+        () => isTimeline && timelineDate ? shapes.filter(shape => isShapeValidAt(shape, timelineDate)) : shapes,
+        [isTimeline, timelineDate, shapes]
+    );
 
-    const handleIncomingMessage = useCallback((message) => {
+    // Labels follow what is drawn: the timeline date and the hidden layers
+    const labelledShapes = useMemo(
+        () => renderedShapes.filter(shape => !hiddenLayerIds.has(getShapeLayerId(shape, layers))),
+        [renderedShapes, hiddenLayerIds, layers]
+    );
+
+    const diff = useMemo(
+        () => diffView ? compareShapeSets(diffView.from ?? shapes, diffView.to ?? shapes) : null,
+        [diffView, shapes]
+    );
+
+    const isRouting = openPanel === 'route';
+    const routeNetwork = useMemo(
+        () => isRouting ? buildRouteNetwork(shapes, DEFAULT_SNAP_KM * settings.unitsPerKm) : null,
+        [isRouting, shapes, settings.unitsPerKm]
+    );
+    const route = useMemo(() => {
+        const start = shapes.find(s => s.id === routeStartId && s.geometry.type === 'Point');
+        const end = shapes.find(s => s.id === routeEndId && s.geometry.type === 'Point');
+        if (!routeNetwork || !start || !end || start === end) return null;
+        return findRoute(routeNetwork, start.geometry.coordinates, end.geometry.coordinates, {
+            optimize: routeOptimize,
+            speeds: settings.routeSpeeds,
+            unitsPerKm: settings.unitsPerKm
+        });
+    }, [routeNetwork, shapes, routeStartId, routeEndId, routeOptimize, settings]);
+
+    const handleIncomingMessage = useCallback(function handleMessage(message) {
         switch (message.type) {
             case 'add':
             case 'modify':
             {
                 const geoJsonData = message.data || message.updates;
                 if (geoJsonData && geoJsonData.geometry && typeof geoJsonData.geometry.type === 'string') {
-                    // Validate coordinates for Polygon
-                    if (geoJsonData.geometry.type === 'Polygon') {
-                        const rings = geoJsonData.geometry.coordinates;
-                        for (const ring of rings) {
-                            for (const coordPair of ring) {
-                                if (coordPair.length !== 2 || isNaN(coordPair[0]) || isNaN(coordPair[1]) || !Number.isFinite(coordPair[0]) || !Number.isFinite(coordPair[1])) {
-                                    console.error("Invalid coordinate value (NaN/Infinity) in Polygon:", geoJsonData);
-                                    return;
-                                }
-                            }
-                        }
+                    // Reject broken coordinates before they reach Leaflet; 'Circle' is the renderer's own center + radius form
+                    const geometryError = geoJsonData.geometry.type === 'Circle' ? null : findGeometryError(geoJsonData.geometry);
+                    if (geometryError) {
+                        console.error(`Invalid geometry (${geometryError}):`, geoJsonData);
+                        return;
                     }
 
+                    knownShapesRef.current.set(message.id || geoJsonData.id, { ...geoJsonData, id: message.id || geoJsonData.id });
                     setShapes(prev => {
                         const existingIndex = prev.findIndex(s => s.id === (message.id || geoJsonData.id));
                         if (message.type === 'add') {
@@ -176,12 +250,32 @@ export default function App() {
             }
 
             case 'remove':
+                knownShapesRef.current.delete(message.id);
                 setShapes(prev => prev.filter(shape => shape.id !== message.id));
                 break;
 
             case 'bulkAdd':
                 // No need to pass applyStylesCallback here, DrawControl will handle it
-                processBulkAddPacket(message, setShapes);
+                if (Array.isArray(message.data)) {
+                    knownShapesRef.current = new Map(message.data.map(shape => [shape.id, shape]));
+                }
+                processBulkAddPacket(message, setShapes, setLayers, setSettings);
+                break;
+
+            case 'layers':
+                if (Array.isArray(message.data)) {
+                    setLayers(normalizeLayers(message.data));
+                }
+                break;
+
+            case 'settings':
+                setSettings(normalizeSettings(message.data));
+                break;
+
+            case 'batch':
+                if (Array.isArray(message.data)) {
+                    message.data.forEach(handleMessage);
+                }
                 break;
 
             default:
@@ -189,47 +283,460 @@ export default function App() {
         }
     }, []);
 
+    useEffect(() => AuthService.subscribe(setSession), []);
+
+    useEffect(() => {
+        // Logged-in users are shown to others under their account name
+        if (!session.username) return;
+        setUser(prev => {
+            if (prev.name === session.username) return prev;
+            const renamed = { ...prev, name: session.username };
+            saveLocalUser(renamed);
+            return renamed;
+        });
+    }, [session.username]);
+
+    const handleReconnect = useCallback(async (pendingMessages) => {
+        const packet = await loadInitialMapData(mapId);
+        if (!packet || !Array.isArray(packet.data)) return;
+
+        const { conflicts: found } = reconcileWithServer(packet.data, knownShapesRef.current, pendingMessages);
+        const conflictIds = new Set(found.map(conflict => conflict.id));
+        const isConflicting = message => conflictIds.has(message.id ?? message.data?.id);
+
+        // Queued messages for conflicting shapes are dropped, with the whole batch they are part of;
+        // resolving the conflict sends a fresh one. The rest of such a batch shows the server's version.
+        WebSocketService.removeQueued(isConflicting);
+        const kept = pendingMessages.filter(entry => entry.type === 'batch' ? !entry.data.some(isConflicting) : !isConflicting(entry));
+        const reconciled = new Map(reconcileWithServer(packet.data, knownShapesRef.current, kept).shapes.map(shape => [shape.id, shape]));
+        // The user keeps seeing their own version of a conflicting shape until they decide
+        found.forEach(({ id, mine }) => mine ? reconciled.set(id, mine) : reconciled.delete(id));
+        knownShapesRef.current = new Map(packet.data.map(shape => [shape.id, shape]));
+        processBulkAddPacket({ ...packet, data: Array.from(reconciled.values()) }, setShapes, setLayers, setSettings);
+        setConflicts(prev => [...prev.filter(conflict => !conflictIds.has(conflict.id)), ...found]);
+    }, [mapId]);
+
+    const handleResolveConflict = (conflict, chosen) => {
+        const { id, theirs } = conflict;
+        if (chosen === theirs) {
+            // The server already has this state, only the local copy needs to follow
+            setShapes(prev => theirs ? upsertShape(prev, theirs) : prev.filter(shape => shape.id !== id));
+        } else if (!chosen) {
+            WebSocketService.sendMessage('remove', null, id);
+            setShapes(prev => prev.filter(shape => shape.id !== id));
+        } else {
+            const resolved = stampVersion({ ...chosen, id }, theirs);
+            WebSocketService.sendMessage(theirs ? 'modify' : 'add', resolved, id);
+            setShapes(prev => upsertShape(prev, resolved));
+        }
+        setConflicts(prev => prev.filter(c => c.id !== id));
+    };
+
+    useEffect(() => {
+        // The map list decides which map opens when the URL names none, or one that is gone
+        let cancelled = false;
+        loadMapList().then(list => {
+            if (cancelled) return;
+            setMaps(list || []);
+            const urlMapId = getUrlMapId();
+            if (list && list.length > 0 && !list.some(map => map.id === urlMapId)) {
+                if (urlMapId != null) showToast(`Map not found, opening "${list[0].name}" instead`, 'error');
+                setUrlMapId(list[0].id, true);
+                setMapId(list[0].id);
+            }
+            setMapsLoaded(true);
+        });
+        return () => { cancelled = true; };
+    }, [session.token]);
+
+    // Nothing of the previous map carries over to the next one
+    const openMap = useCallback((nextMapId) => {
+        setMapId(nextMapId);
+        setShapes([]);
+        setSelectedId(null);
+        setConflicts([]);
+        setDiffView(null);
+        setPartDrawing(null);
+        setRouteStartId(null);
+        setRouteEndId(null);
+        setLayers(normalizeLayers([]));
+        setActiveLayerId(DEFAULT_LAYER_ID);
+        setHiddenLayerIds(new Set());
+        setTimelineDate(null);
+        setSettings(normalizeSettings());
+        setBaseImagesDraft(null);
+        setEditedBaseImageId(null);
+        setControlPoints([]);
+        setLinkedShape(null);
+        pendingLinkViewRef.current = null;
+        knownShapesRef.current = new Map();
+        HistoryService.clear();
+    }, []);
+
+    useEffect(() => {
+        // Back and forward walk through the maps opened before
+        const onPopState = () => openMap(getUrlMapId());
+        window.addEventListener('popstate', onPopState);
+        return () => window.removeEventListener('popstate', onPopState);
+    }, [openMap]);
+
+    const switchMap = (nextMapId) => {
+        setUrlMapId(nextMapId);
+        openMap(nextMapId);
+    };
+
+    useEffect(() => {
+        if (!mapInstance || !mapsLoaded) return;
+        const linkedView = pendingLinkViewRef.current;
+        pendingLinkViewRef.current = null;
+        if (linkedView) {
+            mapInstance.setView(linkedView.center, linkedView.zoom);
+        } else {
+            mapInstance.fitBounds(currentMap.bounds);
+        }
+    }, [mapInstance, mapsLoaded, currentMap.bounds]);
+
     useEffect(() => {
+        // The URL always links to what is on screen; a linked shape still loading stays in it
+        if (!mapView || !mapsLoaded) return;
+        writeDeepLink({
+            ...mapView,
+            shapeId: selectedId ?? linkedShape?.id,
+            hiddenLayerIds: [...hiddenLayerIds],
+            panel: openPanel
+        });
+    }, [mapView, mapsLoaded, selectedId, linkedShape, hiddenLayerIds, openPanel]);
+
+    useEffect(() => {
+        // A link pasted in the address bar of an open page doesn't reload it
+        const onHashChange = () => {
+            const link = readDeepLink();
+            if (link.view && mapInstance) mapInstance.setView(link.view.center, link.view.zoom);
+            if (link.hiddenLayerIds) setHiddenLayerIds(new Set(link.hiddenLayerIds));
+            if (link.panel) setOpenPanel(link.panel);
+            setLinkedShape(link.shapeId != null ? { id: link.shapeId, focus: !link.view } : null);
+        };
+        window.addEventListener('hashchange', onHashChange);
+        return () => window.removeEventListener('hashchange', onHashChange);
+    }, [mapInstance]);
+
+    useEffect(() => {
+        if (!mapsLoaded) return;
+        let cancelled = false;
+        WebSocketService.setMapId(mapId);
         WebSocketService.connect();
         WebSocketService.registerMessageHandler(handleIncomingMessage);
+        WebSocketService.registerReconnectHandler(handleReconnect);
 
         const loadMap = async () => {
-            const initialData = await loadInitialMapData();
-            if (initialData) {
+            const initialData = await loadInitialMapData(mapId);
+            // A slow answer for a map the user already left is dropped
+            if (initialData && !cancelled) {
                 // Simply set the shapes. DrawControl's useEffect will handle rendering and styling.
-                processBulkAddPacket(initialData, setShapes);
+                if (Array.isArray(initialData.data)) {
+                    knownShapesRef.current = new Map(initialData.data.map(shape => [shape.id, shape]));
+                }
+                processBulkAddPacket(initialData, setShapes, setLayers, setSettings);
             }
         };
         loadMap();
 
-        return () => WebSocketService.disconnect();
-    }, [handleIncomingMessage]);
+        return () => {
+            cancelled = true;
+            WebSocketService.disconnect();
+        };
+        // session.token: logging in or out reconnects with the new credentials and reloads what they may see
+        // mapId: another map has its own topics and shapes
+    }, [handleIncomingMessage, handleReconnect, session.token, mapId, mapsLoaded]);
+
+    const handleSaveMap = async ({ id, name, imageUrl, width, height }) => {
+        // The image of an existing map is changed in the base map panel
+        const definition = id == null
+            ? { name, imageUrl: imageUrl || null, bounds: createMapBounds(width, height) }
+            : { name, bounds: createMapBounds(width, height) };
+        try {
+            const saved = id == null ? await createMap(definition) : await updateMap(id, definition);
+            setMaps(prev => id == null ? [...prev, saved] : prev.map(map => map.id === id ? saved : map));
+            showToast(id == null ? `Created "${saved.name}"` : `Saved "${saved.name}"`);
+            return true;
+        } catch (error) {
+            console.error('Failed to save the map:', error);
+            showToast(error.message, 'error');
+            return false;
+        }
+    };
+
+    const handleDeleteMap = async (map) => {
+        // There would be no map left to open, and its topics would stay live for nothing
+        if (maps.length <= 1) {
+            showToast("The last map can't be deleted", 'error');
+            return;
+        }
+        try {
+            await deleteMap(map.id);
+        } catch (error) {
+            console.error('Failed to delete the map:', error);
+            showToast(error.message, 'error');
+            return;
+        }
+        const remaining = maps.filter(m => m.id !== map.id);
+        setMaps(remaining);
+        if (map.id === mapId) switchMap(remaining[0].id);
+    };
 
     const updateShapeProperty = (prop, value) => {
-        setShapes(prev => {
-            const updated = prev.map(shape => {
-                if (shape.id === selectedId) {
-                    const newProps = { ...shape.properties, [prop]: value };
-                    const updatedShape = { ...shape, properties: newProps };
-                    WebSocketService.sendMessage('modify', updatedShape, updatedShape.id);
-                    return updatedShape;
-                }
-                return shape;
-            });
-            // The DrawControl's useEffect will re-render and re-style based on this update
-            return updated;
+        const shape = shapes.find(s => s.id === selectedId);
+        if (!shape || isSelectedReadOnly) return;
+
+        const updatedShape = stampVersion({ ...shape, properties: { ...shape.properties, [prop]: value } }, shape);
+        WebSocketService.sendMessage('modify', updatedShape, updatedShape.id);
+        // Typing into a field produces one undo step per field rather than one per keystroke
+        HistoryService.record([{ id: shape.id, before: shape, after: updatedShape }], `property:${shape.id}:${prop}`);
+
+        // The DrawControl's useEffect will re-render and re-style based on this update
+        setShapes(prev => prev.map(s => s.id === shape.id ? updatedShape : s));
+    };
+
+    const handleBooleanOperation = (operation, targetId) => {
+        const target = shapes.find(s => s.id === targetId);
+        if (!selectedShape || !target || isSelectedReadOnly) return;
+        const { changes, error } = applyBooleanOperation(operation, selectedShape, target, session.username);
+        if (error) {
+            showToast(error, 'error');
+            return;
+        }
+        // Removals and additions travel as one batch and undo as one step
+        applyShapeChanges(changes, shapes, setShapes);
+        HistoryService.record(changes);
+        setSelectedId(changes.find(change => !change.before).id);
+    };
+
+    const handleUndo = useCallback(() => {
+        if (!canEdit) return;
+        const changes = HistoryService.undo();
+        if (changes) applyShapeChanges(changes, shapes, setShapes);
+    }, [shapes, canEdit]);
+
+    const handleRedo = useCallback(() => {
+        if (!canEdit) return;
+        const changes = HistoryService.redo();
+        if (changes) applyShapeChanges(changes, shapes, setShapes);
+    }, [shapes, canEdit]);
+
+    useEffect(() => {
+        const onKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            // Leave text fields their native undo behaviour
+            const target = e.target;
+            if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                handleUndo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                handleRedo();
+            }
+        };
+
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [handleUndo, handleRedo]);
+
+    const updateLayers = useCallback((newLayers) => {
+        const normalized = normalizeLayers(newLayers);
+        setLayers(normalized);
+        WebSocketService.sendMessage('layers', normalized);
+    }, []);
+
+    const updateSettings = useCallback((newSettings) => {
+        const normalized = normalizeSettings(newSettings);
+        setSettings(normalized);
+        WebSocketService.sendMessage('settings', normalized);
+    }, []);
+
+    const changeDistanceUnit = (unit) => {
+        savePreferredUnit(unit);
+        setDistanceUnit(unit);
+    };
+
+    const togglePanel = (panel) => {
+        setOpenPanel(prev => prev === panel ? null : panel);
+        // Calibrating, measuring and placing base images all take over map clicks, so they end with their panel
+        setIsCalibrating(false);
+        setMeasureResult(null);
+        setEditedBaseImageId(null);
+        setControlPoints([]);
+    };
+
+    const changeBaseImages = useCallback((images) => setBaseImagesDraft(images), []);
+
+    const handleBaseImageBoundsChange = useCallback((bounds) => {
+        setBaseImagesDraft(prev => (prev || currentMap.baseImages).map(image => image.id === editedBaseImageId ? { ...image, bounds } : image));
+    }, [currentMap.baseImages, editedBaseImageId]);
+
+    const selectBaseImage = (imageId) => {
+        setEditedBaseImageId(imageId);
+        setControlPoints([]);
+    };
+
+    const handleUploadBaseImage = async (file) => {
+        setIsUploadingImage(true);
+        try {
+            const { width, height } = await readImageSize(file);
+            const url = await uploadBaseImage(mapId, file);
+            const image = createBaseImage(file.name.replace(/\.[^.]+$/, ''), url, boundsForImageSize(width, height, currentMap.bounds));
+            // New images go on top, ready to be placed
+            setBaseImagesDraft(prev => [...(prev || currentMap.baseImages), image]);
+            selectBaseImage(image.id);
+        } catch (error) {
+            console.error('Failed to upload the base image:', error);
+            showToast(error.message, 'error');
+        } finally {
+            setIsUploadingImage(false);
+        }
+    };
+
+    const applyControlPoints = () => {
+        const result = fitBoundsToControlPoints(controlPoints.filter(pair => pair.map));
+        if (result.error) {
+            showToast(result.error, 'error');
+            return;
+        }
+        handleBaseImageBoundsChange(result.bounds);
+        setControlPoints([]);
+    };
+
+    const saveBaseImages = async () => {
+        try {
+            const saved = await updateMap(mapId, { baseImages: baseImagesDraft });
+            setMaps(prev => prev.map(map => map.id === mapId ? saved : map));
+            setBaseImagesDraft(null);
+            showToast(`Saved the base map of "${saved.name}"`);
+        } catch (error) {
+            console.error('Failed to save the base images:', error);
+            showToast(error.message, 'error');
+        }
+    };
+
+    const discardBaseImages = () => {
+        setBaseImagesDraft(null);
+        setEditedBaseImageId(null);
+        setControlPoints([]);
+    };
+
+    const toggleCalibration = () => {
+        setMeasuredDistance(null);
+        setIsCalibrating(prev => !prev);
+    };
+
+    const toggleLayerVisibility = useCallback((layerId) => {
+        setHiddenLayerIds(prev => {
+            const next = new Set(prev);
+            if (next.has(layerId)) {
+                next.delete(layerId);
+            } else {
+                next.add(layerId);
+            }
+            return next;
         });
+    }, []);
+
+    const handleExport = () => {
+        const collection = toFeatureCollection(shapes, layers);
+        const blob = new Blob([JSON.stringify(collection, null, 2)], { type: 'application/geo+json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `maprp-${new Date().toISOString().slice(0, 10)}.geojson`;
+        link.click();
+        // Firefox reads the blob after click() returns, revoking right away can cancel the download
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+
+    const handleImport = (mergedShapes, changes, importedLayers) => {
+        // bulkAdd replaces every client's whole shape list, so the merged map is sent rather than just the file
+        setShapes(mergedShapes);
+        WebSocketService.sendMessage('bulkAdd', mergedShapes);
+        HistoryService.record(changes);
+
+        const newLayers = importedLayers.filter(layer => layer && layer.id != null && !layers.some(existing => existing.id === layer.id));
+        if (newLayers.length > 0) {
+            updateLayers([...layers, ...newLayers]);
+        }
+        setShowImport(false);
+    };
+
+    useEffect(() => {
+        const update = () => setSnapshots(SnapshotService.list(mapId));
+        update();
+        return SnapshotService.subscribe(update);
+    }, [mapId]);
+
+    const handleSaveSnapshot = (name) => {
+        if (!SnapshotService.save(name, shapes, mapId)) {
+            showToast('Could not save the snapshot: browser storage is full', 'error');
+        }
     };
 
-    const handleMarkerButtonClick = useCallback((lat, lng, zoom = -2) => {
-        if (mapInstance) {
-            mapInstance.setView([lat, lng], zoom);
+    const handleRestoreSnapshot = (snapshot) => {
+        if (!isAdmin) return;
+        const { shapes: restoredShapes, changes } = restoreSnapshot(snapshot, shapes);
+        // Like an import, the restored map replaces every client's shape list in one go
+        setShapes(restoredShapes);
+        WebSocketService.sendMessage('bulkAdd', restoredShapes);
+        HistoryService.record(changes);
+        showToast(`Restored "${snapshot.name}"`);
+    };
+
+    const focusShape = useCallback((shape) => {
+        if (!mapInstance) return;
+        const { geometry } = shape;
+        if (geometry.type === 'Point' && shape.properties.radius > 0) {
+            // A circle, shown whole
+            const [x, y] = geometry.coordinates;
+            const { radius } = shape.properties;
+            mapInstance.fitBounds([[y - radius, x - radius], [y + radius, x + radius]], { padding: [40, 40] });
+        } else if (geometry.type === 'Point') {
+            mapInstance.setView([geometry.coordinates[1], geometry.coordinates[0]], Math.max(mapInstance.getZoom(), 1));
+        } else if (geometry.type === 'Circle') {
+            mapInstance.setView(L.latLng(geometry.coordinates), Math.max(mapInstance.getZoom(), 1));
+        } else {
+            mapInstance.fitBounds(L.geoJSON(shape).getBounds(), { padding: [40, 40] });
         }
     }, [mapInstance]);
 
+    useEffect(() => {
+        // Links name shapes as text, whatever the type of their id
+        if (!linkedShape) return;
+        const shape = shapes.find(s => String(s.id) === linkedShape.id);
+        if (!shape || shape.id === selectedId) return;
+        setSelectedId(shape.id);
+        if (linkedShape.focus) focusShape(shape);
+    }, [linkedShape, shapes, selectedId, focusShape]);
+
+    const endLinkedShape = useCallback(() => setLinkedShape(null), []);
+
+    const layerShapeCounts = shapes.reduce((counts, shape) => {
+        const layerId = getShapeLayerId(shape, layers);
+        counts[layerId] = (counts[layerId] || 0) + 1;
+        return counts;
+    }, {});
+
+    const handleSearchSelect = (shape) => {
+        // A shape looked up by name is shown even on a hidden layer
+        const layerId = getShapeLayerId(shape, layers);
+        if (hiddenLayerIds.has(layerId)) toggleLayerVisibility(layerId);
+        focusShape(shape);
+        // Selected and popped up the same way as a shape opened from a link
+        setLinkedShape({ id: String(shape.id), focus: false });
+        setshowSidebar(false);
+    };
+
     return (
         <div style={{ height: '100vh', width: '100vw', display: 'flex', fontFamily: 'Inter, sans-serif' }}>
-            {showSidebar ? <MarkerPopup points={markers} onMarkerClick={handleMarkerButtonClick} onClose={() => setshowSidebar(false)} /> : <div/>}
+            {showSidebar ? <SearchPopup shapes={shapes} layers={layers} onSelect={handleSearchSelect} onClose={() => setshowSidebar(false)} /> : <div/>}
 
             <MapContainer
                 crs={L.CRS.Simple}
@@ -239,8 +746,17 @@ export default function App() {
                 maxZoom={4}
                 style={{ flex: 1, height: '100%' }}
             >
-                <MapProvider setMapInstance={setMapInstance} setIsMapFlying={setIsMapFlying}>
-                    <CustomSVGOverlay url="/carte.svg" bounds={bounds} />
+                <MapProvider setMapInstance={setMapInstance} setIsMapFlying={setIsMapFlying} onViewChange={setMapView}>
+                    <BaseImageLayer images={baseImages} />
+                    {editedBaseImage && (
+                        <BaseImageEditor
+                            image={editedBaseImage}
+                            mode={baseImageMode}
+                            controlPoints={controlPoints}
+                            onBoundsChange={handleBaseImageBoundsChange}
+                            onControlPointsChange={setControlPoints}
+                        />
+                    )}
 
                     <DrawControl
                         onShapeUpdate={setShapes}
@@ -248,17 +764,321 @@ export default function App() {
                         setIsEditing={setIsEditing}
                         isEditing={isEditing}
                         selectedId={selectedId}
-                        shapes={shapes}
+                        shapes={renderedShapes}
                         isMapFlying={isMapFlying}
+                        layers={layers}
+                        hiddenLayerIds={hiddenLayerIds}
+                        activeLayerId={activeLayerId}
+                        remoteEditors={remoteEditors}
+                        readOnlyIds={readOnlyIds}
+                        canDraw={canEdit}
+                        isShapeEditable={isShapeEditable}
+                        ownerName={session.username}
+                        snapping={snapping}
+                        sharedEdges={sharedEdges}
+                        partDrawing={activePartDrawing}
+                        onPartDrawingEnd={endPartDrawing}
+                        popupShapeId={linkedShape && selectedShape && String(selectedShape.id) === linkedShape.id ? selectedShape.id : null}
+                        onPopupShown={endLinkedShape}
                     />
+                    {showLabels && <LabelLayer shapes={labelledShapes} layers={layers} />}
+                    {/* Remounted per map, leaving the old map's presence channel and its peers behind */}
+                    <PresenceLayer key={mapId} user={user} selectedId={selectedId} isEditing={isEditing} onPeersChange={setPeers} />
+                    {isCalibrating && <ScaleCalibration onMeasured={setMeasuredDistance} />}
+                    {openPanel === 'measure' && (
+                        <MeasureTool
+                            key={`${measureMode}-${measureRun}`}
+                            mode={measureMode}
+                            unitsPerKm={settings.unitsPerKm}
+                            unit={distanceUnit}
+                            onMeasure={setMeasureResult}
+                        />
+                    )}
+                    {isRouting && <RouteLayer route={route} />}
+                    {diff && <DiffLayer diff={diff} />}
                 </MapProvider>
             </MapContainer>
 
-            <FoldSidebar show={showSidebar} setShow={setshowSidebar}/>
+            <ConnectionStatus/>
+            <PresenceList
+                user={user}
+                peers={peers}
+                shapes={shapes}
+                onRename={(name) => {
+                    const renamed = { ...user, name };
+                    saveLocalUser(renamed);
+                    setUser(renamed);
+                }}
+            />
+
+            <FoldSidebar show={showSidebar} setShow={setshowSidebar}>
+                {canEdit && <HistoryButtons onUndo={handleUndo} onRedo={handleRedo}/>}
+                {canEdit && (
+                    <>
+                        <ActionButton
+                            active={snapping}
+                            onClick={() => setSnapping(!snapping)}
+                            label={snapping ? "Snapping on (hold Alt to place freely)" : "Snapping off"}
+                        >
+                            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                                <path d="M6 3V11C6 14.3137 8.68629 17 12 17C15.3137 17 18 14.3137 18 11V3" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                                <path d="M6 7H10M14 7H18" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                                <path d="M12 17V21" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                            </svg>
+                        </ActionButton>
+                        <ActionButton
+                            active={sharedEdges}
+                            onClick={() => setSharedEdges(!sharedEdges)}
+                            label={sharedEdges ? "Shared borders on: moving a border point moves it for every shape on it" : "Shared borders off"}
+                        >
+                            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                                <path d="M3 4H12V20H3V4Z" stroke="currentColor" strokeWidth="2" strokeLinejoin="round" />
+                                <path d="M12 4H21V20H12" stroke="currentColor" strokeWidth="2" strokeLinejoin="round" />
+                                <circle cx="12" cy="12" r="2" fill="currentColor" />
+                            </svg>
+                        </ActionButton>
+                    </>
+                )}
+                <ActionButton
+                    active={openPanel === 'maps'}
+                    onClick={() => togglePanel('maps')}
+                    label={openPanel === 'maps' ? "Close maps" : (maps.length > 0 ? `Maps (on "${currentMap.name}")` : "Maps")}
+                >
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M9 4L3 6V20L9 18L15 20L21 18V4L15 6L9 4Z" stroke="currentColor" strokeWidth="2" strokeLinejoin="round" />
+                        <path d="M9 4V18M15 6V20" stroke="currentColor" strokeWidth="2" strokeLinejoin="round" />
+                    </svg>
+                </ActionButton>
+                {isAdmin && (
+                    <ActionButton
+                        active={openPanel === 'basemap'}
+                        onClick={() => togglePanel('basemap')}
+                        label={openPanel === 'basemap' ? "Close base map" : "Base map images"}
+                    >
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                            <rect x="3" y="5" width="18" height="14" rx="2" stroke="currentColor" strokeWidth="2" />
+                            <path d="M3 16L9 10L14 15L17 12L21 16" stroke="currentColor" strokeWidth="2" strokeLinejoin="round" />
+                        </svg>
+                    </ActionButton>
+                )}
+                <ActionButton
+                    active={openPanel === 'layers'}
+                    onClick={() => togglePanel('layers')}
+                    label={openPanel === 'layers' ? "Close layers" : "Open layers"}
+                >
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M12 3L2 8L12 13L22 8L12 3Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                        <path d="M2 16L12 21L22 16" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                        <path d="M2 12L12 17L22 12" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                    </svg>
+                </ActionButton>
+                <ActionButton
+                    active={showLabels}
+                    onClick={() => setShowLabels(!showLabels)}
+                    label={showLabels ? "Hide labels" : "Show labels"}
+                >
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M4 19L9 5L14 19M6 14H12" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                        <path d="M16 10H20M18 10V19" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                    </svg>
+                </ActionButton>
+                <ActionButton
+                    active={openPanel === 'scale'}
+                    onClick={() => togglePanel('scale')}
+                    label={openPanel === 'scale' ? "Close map scale" : "Map scale"}
+                >
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M3 8H21V16H3V8Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                        <path d="M7 8V11M11 8V12M15 8V11M19 8V12" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                    </svg>
+                </ActionButton>
+                <ActionButton
+                    active={openPanel === 'measure'}
+                    onClick={() => togglePanel('measure')}
+                    label={openPanel === 'measure' ? "Stop measuring" : "Measure"}
+                >
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M4 20L20 4" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                        <circle cx="4" cy="20" r="2" stroke="currentColor" strokeWidth="2" />
+                        <circle cx="20" cy="4" r="2" stroke="currentColor" strokeWidth="2" />
+                    </svg>
+                </ActionButton>
+                <ActionButton
+                    active={isRouting}
+                    onClick={() => togglePanel('route')}
+                    label={isRouting ? "Close route planner" : "Plan a route"}
+                >
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <circle cx="6" cy="19" r="2" stroke="currentColor" strokeWidth="2" />
+                        <circle cx="18" cy="5" r="2" stroke="currentColor" strokeWidth="2" />
+                        <path d="M8 19H16C17.6569 19 19 17.6569 19 16C19 14.3431 17.6569 13 16 13H8C6.34315 13 5 11.6569 5 10C5 8.34315 6.34315 7 8 7H16" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                    </svg>
+                </ActionButton>
+                <ActionButton
+                    active={isTimeline}
+                    onClick={() => togglePanel('timeline')}
+                    label={isTimeline ? "Close timeline" : "Timeline and snapshots"}
+                >
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <circle cx="12" cy="12" r="9" stroke="currentColor" strokeWidth="2" />
+                        <path d="M12 7V12L15 14" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                    </svg>
+                </ActionButton>
+                <ActionButton onClick={handleExport} label="Export GeoJSON">
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M12 3V15" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                        <path d="M7 10L12 15L17 10" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                        <path d="M4 17V20H20V17" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                    </svg>
+                </ActionButton>
+                {isAdmin && (
+                    <ActionButton active={showImport} onClick={() => setShowImport(!showImport)} label="Import GeoJSON">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                            <path d="M12 15V3" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                            <path d="M7 8L12 3L17 8" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                            <path d="M4 17V20H20V17" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                        </svg>
+                    </ActionButton>
+                )}
+                <ActionButton
+                    active={session.token != null}
+                    onClick={() => session.token ? AuthService.logout() : setShowLogin(true)}
+                    label={session.token ? `Log out ${session.username} (${session.role})` : "Log in"}
+                >
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M20 21V19C20 16.7909 18.2091 15 16 15H8C5.79086 15 4 16.7909 4 19V21" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                        <path d="M12 11C14.2091 11 16 9.20914 16 7C16 4.79086 14.2091 3 12 3C9.79086 3 8 4.79086 8 7C8 9.20914 9.79086 11 12 11Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                    </svg>
+                </ActionButton>
+            </FoldSidebar>
+
+            {conflicts.length > 0 && (
+                <ConflictDialog key={conflicts[0].id} conflicts={conflicts} onResolve={handleResolveConflict} />
+            )}
+
+            {showLogin && <LoginDialog onClose={() => setShowLogin(false)} />}
+            <ToastContainer/>
+
+            {showImport && (
+                <ImportDialog
+                    shapes={shapes}
+                    // Hidden, not closed, while its preview is on the map so the file and options survive
+                    hidden={diffView?.source === 'import'}
+                    onImport={handleImport}
+                    onShowDiff={(mergedShapes) => setDiffView({ title: 'Import preview', from: null, to: mergedShapes, source: 'import' })}
+                    onClose={() => setShowImport(false)}
+                />
+            )}
+
+            {diff && <DiffPanel title={diffView.title} diff={diff} onFocus={focusShape} onClose={() => setDiffView(null)} />}
+
+            {openPanel === 'scale' && (
+                <ScalePanel
+                    key={JSON.stringify(settings)}
+                    settings={settings}
+                    unit={distanceUnit}
+                    canManage={isAdmin}
+                    isCalibrating={isCalibrating}
+                    measuredDistance={measuredDistance}
+                    onSettingsChange={updateSettings}
+                    onToggleCalibration={toggleCalibration}
+                    onClose={() => togglePanel('scale')}
+                />
+            )}
+
+            {openPanel === 'measure' && (
+                <MeasurePanel
+                    mode={measureMode}
+                    result={measureResult}
+                    unit={distanceUnit}
+                    travelSpeeds={settings.travelSpeeds}
+                    onModeChange={setMeasureMode}
+                    onClear={() => setMeasureRun(run => run + 1)}
+                    onClose={() => togglePanel('measure')}
+                />
+            )}
+
+            {isRouting && (
+                <RoutePanel
+                    markers={markers}
+                    shapes={shapes}
+                    startId={routeStartId}
+                    endId={routeEndId}
+                    optimize={routeOptimize}
+                    route={route}
+                    unit={distanceUnit}
+                    onStartChange={setRouteStartId}
+                    onEndChange={setRouteEndId}
+                    onOptimizeChange={setRouteOptimize}
+                    onClose={() => togglePanel('route')}
+                />
+            )}
+
+            {isTimeline && (
+                <TimelinePanel
+                    dates={timelineDates}
+                    date={timelineDate}
+                    snapshots={snapshots}
+                    canRestore={isAdmin}
+                    onDateChange={setTimelineDate}
+                    onSaveSnapshot={handleSaveSnapshot}
+                    onCompareSnapshot={(snapshot) => setDiffView({ title: `Since "${snapshot.name}"`, from: snapshot.shapes, to: null, source: 'snapshot' })}
+                    onRestoreSnapshot={handleRestoreSnapshot}
+                    onDeleteSnapshot={(id) => SnapshotService.remove(id)}
+                    onClose={() => togglePanel('timeline')}
+                />
+            )}
+
+            {openPanel === 'maps' && (
+                <MapPicker
+                    maps={maps}
+                    currentMapId={mapId}
+                    canManage={isAdmin}
+                    onOpen={switchMap}
+                    onSave={handleSaveMap}
+                    onDelete={handleDeleteMap}
+                    onClose={() => togglePanel('maps')}
+                />
+            )}
+
+            {openPanel === 'basemap' && (
+                <BaseMapPanel
+                    images={baseImages}
+                    canSave={mapId != null}
+                    isDirty={baseImagesDraft != null}
+                    isUploading={isUploadingImage}
+                    selectedId={editedBaseImageId}
+                    mode={baseImageMode}
+                    controlPoints={controlPoints}
+                    onSelect={selectBaseImage}
+                    onModeChange={setBaseImageMode}
+                    onUpload={handleUploadBaseImage}
+                    onChange={changeBaseImages}
+                    onApplyControlPoints={applyControlPoints}
+                    onClearControlPoints={() => setControlPoints([])}
+                    onSave={saveBaseImages}
+                    onDiscard={discardBaseImages}
+                    onClose={() => togglePanel('basemap')}
+                />
+            )}
+
+            {openPanel === 'layers' && (
+                <LayerPanel
+                    layers={layers}
+                    hiddenLayerIds={hiddenLayerIds}
+                    activeLayerId={activeLayerId}
+                    shapeCounts={layerShapeCounts}
+                    onLayersChange={updateLayers}
+                    canManage={isAdmin}
+                    onToggleVisibility={toggleLayerVisibility}
+                    onSetActive={setActiveLayerId}
+                    onClose={() => togglePanel('layers')}
+                />
+            )}
 
             {isEditing && selectedShape ? (
                 <div style={{
-                    width: '150px',
+                    width: '260px',
                     padding: '24px',
                     background: '#ffffff',
                     overflowY: 'auto',
@@ -273,6 +1093,57 @@ export default function App() {
                 }}>
                     <h2 style={{ fontSize: '20px', fontWeight: 'bold', marginBottom: '4px', color: '#2c3e50' }}>Shape Properties</h2>
 
+                    {isSelectedLocked && (
+                        <p style={{ margin: 0, padding: '8px', borderRadius: '4px', background: '#fff4e5', color: '#8a5300' }}>
+                            Layer "{selectedLayer.name}" is locked. Unlock it in the Layers panel to edit this shape.
+                        </p>
+                    )}
+
+                    {isSelectedForbidden && !isSelectedLocked && (
+                        <p style={{ margin: 0, padding: '8px', borderRadius: '4px', background: '#fdecea', color: '#8a1f11' }}>
+                            You don't have permission to edit this shape.
+                        </p>
+                    )}
+
+                    {selectedEditor && !isSelectedLocked && !isSelectedForbidden && (
+                        <p style={{ margin: 0, padding: '8px', borderRadius: '4px', background: '#fff4e5', color: '#8a5300' }}>
+                            {selectedEditor.name} is editing this shape.
+                            {readOnlyIds.has(selectedId) && (
+                                <button
+                                    onClick={() => setEditAnywayIds(prev => new Set(prev).add(selectedId))}
+                                    style={{ display: 'block', marginTop: '6px', padding: '4px 8px', borderRadius: '4px', border: '1px solid #f39c12', background: '#fff', cursor: 'pointer' }}
+                                >
+                                    Edit anyway
+                                </button>
+                            )}
+                        </p>
+                    )}
+
+                    <div style={{ marginBottom: '8px' }}>
+                        <label style={{ display: 'block', marginBottom: '4px', fontWeight: '500' }}>
+                            Layer:
+                            <select
+                                value={selectedLayer.id}
+                                disabled={isSelectedReadOnly}
+                                onChange={(e) => updateShapeProperty('layerId', e.target.value)}
+                                style={{
+                                    width: '100%',
+                                    padding: '8px',
+                                    borderRadius: '4px',
+                                    border: '1px solid #ccc',
+                                    marginTop: '4px',
+                                    boxSizing: 'border-box'
+                                }}
+                            >
+                                {[...layers].reverse().map(layer => (
+                                    <option key={layer.id} value={layer.id} disabled={layer.locked && layer.id !== selectedLayer.id}>
+                                        {layer.name}
+                                    </option>
+                                ))}
+                            </select>
+                        </label>
+                    </div>
+
                     {selectedShape.properties.type === 'polyline' && (
                         <div style={{ marginBottom: '8px' }}> {/* Reduced margin-bottom */}
                             <label style={{ display: 'block', marginBottom: '4px', fontWeight: '500' }}>
@@ -280,6 +1151,7 @@ export default function App() {
                                 <select
                                     value={selectedShape.properties.customType || 'default'}
                                     onChange={(e) => updateShapeProperty('customType', e.target.value)}
+                                    disabled={isSelectedReadOnly}
                                     style={{
                                         width: '100%',
                                         padding: '8px',
@@ -299,13 +1171,14 @@ export default function App() {
                         </div>
                     )}
 
-                    {(selectedShape.properties.type === 'polygon' || selectedShape.properties.type === 'circle') && (
+                    {['polygon', 'rectangle', 'circle'].includes(selectedShape.properties.type) && (
                         <div style={{ marginBottom: '8px' }}> {/* Reduced margin-bottom */}
                             <label style={{ display: 'block', marginBottom: '4px', fontWeight: '500' }}>
                                 Fill Type:
                                 <select
                                     value={selectedShape.properties.customFillType || 'default'}
                                     onChange={(e) => updateShapeProperty('customFillType', e.target.value)}
+                                    disabled={isSelectedReadOnly}
                                     style={{
                                         width: '100%',
                                         padding: '8px',
@@ -324,9 +1197,8 @@ export default function App() {
                         </div>
                     )}
 
-                    {(selectedShape.properties.type === 'polygon' || selectedShape.properties.type === 'circle' ||
-                        (selectedShape.properties.type === 'polyline' && selectedShape.properties.customType === 'default') ||
-                        selectedShape.properties.type === 'marker') && (
+                    {(['polygon', 'rectangle', 'circle', 'circlemarker', 'marker'].includes(selectedShape.properties.type) ||
+                        (selectedShape.properties.type === 'polyline' && selectedShape.properties.customType === 'default')) && (
                         <div style={{ marginBottom: '8px' }}> {/* Reduced margin-bottom */}
                             <label style={{ display: 'block', marginBottom: '4px', fontWeight: '500' }}>
                                 {selectedShape.properties.type === 'polyline' ? 'Line Color' : (selectedShape.properties.type === 'marker' ? 'Marker Color' : 'Border/Fill Color')}:
@@ -334,6 +1206,7 @@ export default function App() {
                                     type="color"
                                     value={selectedShape.properties.color}
                                     onChange={(e) => updateShapeProperty('color', e.target.value)}
+                                    disabled={isSelectedReadOnly}
                                     style={{
                                         width: '100%',
                                         padding: '4px',
@@ -355,6 +1228,7 @@ export default function App() {
                                 type="text"
                                 value={selectedShape.properties.name}
                                 onChange={(e) => updateShapeProperty('name', e.target.value)}
+                                disabled={isSelectedReadOnly}
                                 style={{
                                     width: '100%',
                                     padding: '8px',
@@ -367,12 +1241,114 @@ export default function App() {
                         </label>
                     </div>
 
-                    <h3 style={{ fontSize: '18px', fontWeight: 'bold', marginBottom: '4px', color: '#2c3e50' }}>Statistics</h3>
+                    <div style={{ marginBottom: '8px' }}>
+                        <span style={{ display: 'block', marginBottom: '4px', fontWeight: '500' }}>Description:</span>
+                        <DescriptionEditor
+                            key={selectedShape.id}
+                            value={selectedShape.properties.description || ''}
+                            onChange={(html) => updateShapeProperty('description', html)}
+                            readOnly={isSelectedReadOnly}
+                        />
+                    </div>
+
+                    <div style={{ marginBottom: '8px', display: 'flex', gap: '8px' }}>
+                        {[['validFrom', 'Exists from'], ['validTo', 'Until']].map(([prop, label]) => (
+                            <label key={prop} style={{ flex: 1, display: 'block', fontWeight: '500' }}>
+                                {label}:
+                                <input
+                                    type="date"
+                                    value={selectedShape.properties[prop] || ''}
+                                    onChange={(e) => updateShapeProperty(prop, e.target.value)}
+                                    disabled={isSelectedReadOnly}
+                                    style={{
+                                        width: '100%',
+                                        padding: '6px 4px',
+                                        borderRadius: '4px',
+                                        border: '1px solid #ccc',
+                                        marginTop: '4px',
+                                        boxSizing: 'border-box'
+                                    }}
+                                />
+                            </label>
+                        ))}
+                    </div>
+
+                    <div style={{ marginBottom: '8px', display: 'flex', gap: '8px' }}>
+                        {[['minZoom', 'Shown from zoom'], ['maxZoom', 'Up to zoom']].map(([prop, label]) => (
+                            <label key={prop} style={{ flex: 1, display: 'block', fontWeight: '500' }} title="From -15 (whole map) to 4 (closest); empty uses the layer's setting">
+                                {label}:
+                                <input
+                                    type="number"
+                                    min={-15}
+                                    max={4}
+                                    step={1}
+                                    value={selectedShape.properties[prop] ?? ''}
+                                    placeholder={selectedLayer?.[prop] != null ? `${selectedLayer[prop]} (layer)` : 'Any'}
+                                    onChange={(e) => updateShapeProperty(prop, e.target.value === '' ? null : Number(e.target.value))}
+                                    disabled={isSelectedReadOnly}
+                                    style={{
+                                        width: '100%',
+                                        padding: '6px 4px',
+                                        borderRadius: '4px',
+                                        border: '1px solid #ccc',
+                                        marginTop: '4px',
+                                        boxSizing: 'border-box'
+                                    }}
+                                />
+                            </label>
+                        ))}
+                    </div>
+
+                    {selectedPartKind && (
+                        <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px', fontWeight: '500' }}>
+                            <input
+                                type="checkbox"
+                                checked={!!selectedShape.properties.simplify}
+                                onChange={(e) => updateShapeProperty('simplify', e.target.checked)}
+                                disabled={isSelectedReadOnly}
+                            />
+                            Simplify the outline when zoomed out
+                        </label>
+                    )}
+
+                    {selectedPartKind && !isSelectedReadOnly && (
+                        <PartTools
+                            kind={selectedPartKind}
+                            drawingMode={activePartDrawing?.mode}
+                            onDraw={(mode) => setPartDrawing({ shapeId: selectedShape.id, mode })}
+                            onCancel={endPartDrawing}
+                        />
+                    )}
+
+                    {canCombineSelected && (
+                        <TerritoryTools
+                            key={selectedShape.id}
+                            polygons={shapes.filter(s => s.id !== selectedId && isPolygonShape(s))}
+                            editablePolygons={shapes.filter(s => s.id !== selectedId && isPolygonShape(s) && isWholeShapeEditable(s))}
+                            polylines={shapes.filter(isLineShape)}
+                            onApply={handleBooleanOperation}
+                        />
+                    )}
+
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '4px' }}>
+                        <h3 style={{ fontSize: '18px', fontWeight: 'bold', margin: 0, color: '#2c3e50' }}>Statistics</h3>
+                        <select
+                            value={distanceUnit}
+                            onChange={(e) => changeDistanceUnit(e.target.value)}
+                            aria-label="Distance unit"
+                            style={{ padding: '4px', borderRadius: '4px', border: '1px solid #ccc' }}
+                        >
+                            {Object.entries(DISTANCE_UNITS).map(([key, { label }]) => (
+                                <option key={key} value={key}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
                     <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}> {/* New flex container for statistics */}
                         <p style={{ margin: 0 }}>Type: <span style={{ fontWeight: 'normal' }}>{stats.type}</span></p>
-                        {stats.area && <p style={{ margin: 0 }}>Area: <span style={{ fontWeight: 'normal' }}>{Math.abs(stats.area).toFixed(2)} km²</span></p>}
-                        {stats.perimeter && <p style={{ margin: 0 }}>Perimeter: <span style={{ fontWeight: 'normal' }}>{stats.perimeter.toFixed(2)} km</span></p>}
-                        {stats.length && <p style={{ margin: 0 }}>Length: <span style={{ fontWeight: 'normal' }}>{stats.length.toFixed(2)} km</span></p>}
+                        {stats.area != null && <p style={{ margin: 0 }}>Area: <span style={{ fontWeight: 'normal' }}>{formatArea(stats.area, distanceUnit)}</span></p>}
+                        {stats.perimeter != null && <p style={{ margin: 0 }}>Perimeter: <span style={{ fontWeight: 'normal' }}>{formatDistance(stats.perimeter, distanceUnit)}</span></p>}
+                        {stats.radius != null && <p style={{ margin: 0 }}>Radius: <span style={{ fontWeight: 'normal' }}>{formatDistance(stats.radius, distanceUnit)}</span></p>}
+                        {stats.length != null && <p style={{ margin: 0 }}>Length: <span style={{ fontWeight: 'normal' }}>{formatDistance(stats.length, distanceUnit)}</span></p>}
                         {stats.position && <p style={{ margin: 0 }}>Position: <span style={{ fontWeight: 'normal' }}>[{stats.position.map(n => n.toFixed(2)).join(', ')}]</span></p>}
                     </div>
                 </div>
@@ -6,6 +6,17 @@ import 'leaflet-draw';
 import 'leaflet-draw/dist/leaflet.draw.css';
 import 'leaflet.pattern/dist/leaflet.pattern-src.js';
 import WebSocketService from "./Messaging/WebSocketService.jsx";
+import HistoryService from "./History/HistoryService.jsx";
+import { escapeHtml, sanitizeHtml } from "./Utils/Html.jsx";
+import { findLayer, getShapeLayerId, isShapeVisibleAtZoom } from "./Layers/LayerUtils.jsx";
+import { ensurePolygonClosedAndClean } from "./Geometry/GeoJsonUtils.jsx";
+import { stampVersion } from "./Messaging/Versioning.jsx";
+import { enableSnapping } from "./Map/Snapping.jsx";
+import { enableMarkerClustering } from "./Map/MarkerClusters.jsx";
+import "./Map/MultiPartEditing.jsx";
+import { extendGeometry } from "./Geometry/BooleanOps.jsx";
+import { showToast } from "./Utils/Toasts.jsx";
+import { shapeLinkUrl } from "./Maps/DeepLinks.jsx";
 
 window.L = L;
 
@@ -122,72 +133,50 @@ const getFillStyle = (customFillType, patternColor, map) => {
     }
 };
 
-const cleanCoordinatePair = (coordPair) => {
-    if (!Array.isArray(coordPair) || coordPair.length !== 2) {
-        console.warn("Expected [lon, lat] pair, got non-array or wrong length:", coordPair);
-        return [0, 0];
-    }
-    const lon = parseFloat(coordPair[0]);
-    const lat = parseFloat(coordPair[1]);
-
-    if (isNaN(lon) || isNaN(lat) || !Number.isFinite(lon) || !Number.isFinite(lat)) {
-        console.warn("Invalid coordinate value (NaN/Infinity) detected, defaulting to 0:", coordPair);
-        return [0, 0];
-    }
-    return [lon, lat];
+// Names and descriptions come from other clients, so everything is escaped or sanitized here
+const buildPopupContent = (shapeId, properties) => {
+    // Wired up when the popup opens, see copyShapeLink
+    const linkButton = `<button type="button" class="shape-link-button" data-shape-id="${escapeHtml(shapeId)}">Copy link</button>`;
+    if (!properties.name) return `Shape ID: ${escapeHtml(shapeId)}${linkButton}`;
+    const description = sanitizeHtml(properties.description);
+    return `<b>${escapeHtml(properties.name)}</b>` +
+        (description ? `<div class="shape-description">${description}</div>` : '') +
+        linkButton;
 };
 
-const cleanCoordinatesRecursive = (coordinates) => {
-    if (!Array.isArray(coordinates)) {
-        return coordinates;
-    }
-
-    if (coordinates.length === 2 && (typeof coordinates[0] === 'number' || typeof coordinates[0] === 'string') && (typeof coordinates[1] === 'number' || typeof coordinates[1] === 'string')) {
-        return cleanCoordinatePair(coordinates);
-    }
-
-    return coordinates.map(subCoord => cleanCoordinatesRecursive(subCoord));
+const copyShapeLink = (shapeId) => {
+    const url = shapeLinkUrl(shapeId);
+    // The clipboard API only exists on secure pages
+    Promise.resolve()
+        .then(() => navigator.clipboard.writeText(url))
+        .then(() => showToast('Link copied'))
+        .catch(error => {
+            console.error('Failed to copy the link:', error);
+            window.prompt('Copy this link:', url);
+        });
 };
 
-const ensurePolygonClosedAndClean = (geoJsonFeature) => {
-    const newFeature = JSON.parse(JSON.stringify(geoJsonFeature));
-
-    if (!newFeature.properties) {
-        newFeature.properties = {};
-    }
-    if (!newFeature.geometry) {
-        newFeature.geometry = { type: null, coordinates: [] };
-    }
+/**
+ * Circles travel as a GeoJSON Point at their center with the radius, in map units, in
+ * properties.radius; toGeoJSON() alone would turn them into plain points. Circle markers are a
+ * Point too but keep their fixed on-screen size, so they carry no radius.
+ * @returns {object} the properties with the layer's radius set, or unchanged for other layers
+ */
+const withLayerRadius = (layer, properties) => layer instanceof L.Circle
+    ? { ...properties, radius: layer.getRadius() }
+    : properties;
 
-    if (Array.isArray(newFeature.geometry.coordinates)) {
-        newFeature.geometry.coordinates = cleanCoordinatesRecursive(newFeature.geometry.coordinates);
+// Leaflet simplifies paths in screen pixels on every zoom, so a higher tolerance mostly drops
+// vertices where they crowd together, when zoomed out
+const SIMPLIFIED_SMOOTH_FACTOR = 5;
 
-        if (newFeature.geometry.type === 'Polygon') {
-            const rings = newFeature.geometry.coordinates;
-            for (let i = 0; i < rings.length; i++) {
-                const ring = rings[i];
-                if (Array.isArray(ring) && ring.length > 0) {
-                    const firstPoint = ring[0];
-                    const lastPoint = ring[ring.length - 1];
+const pointLatLng = (coordinates) => L.latLng(coordinates[1], coordinates[0]);
 
-                    if (firstPoint[0] !== lastPoint[0] || firstPoint[1] !== lastPoint[1]) {
-                        console.warn("Polygon ring not closed, closing it for feature ID:", newFeature.id || 'unknown', ring);
-                        ring.push([...firstPoint]);
-                    }
-                } else {
-                    console.warn("Invalid polygon ring structure detected, replacing with empty array for feature ID:", newFeature.id || 'unknown', ring);
-                    rings[i] = [];
-                }
-            }
-        }
-    }
-    return newFeature;
-};
-
-
-function DrawControl({ onShapeUpdate, onShapeSelect, setIsEditing, isEditing, selectedId, shapes, isMapFlying }) {
+function DrawControl({ onShapeUpdate, onShapeSelect, setIsEditing, isEditing, selectedId, shapes, isMapFlying, layers, hiddenLayerIds, activeLayerId, remoteEditors, readOnlyIds, canDraw, isShapeEditable, ownerName, snapping, sharedEdges, partDrawing, onPartDrawingEnd, popupShapeId, onPopupShown }) {
     const map = useMap();
     const [drawnItems] = useState(() => new L.FeatureGroup());
+    // Shapes on locked layers or that the user may not change live here, out of reach of the edit and delete toolbars
+    const [lockedItems] = useState(() => new L.FeatureGroup());
     const drawControlRef = useRef(null);
     const layerMapRef = useRef({}); // Stores Leaflet layers keyed by shape.id
 
@@ -196,11 +185,31 @@ function DrawControl({ onShapeUpdate, onShapeSelect, setIsEditing, isEditing, se
     const handleEditRef = useRef(null);
     const handleDeleteRef = useRef(null);
     const shapesRef = useRef(shapes); // Ref to latest shapes state for handlers
+    const softLockBadgesRef = useRef(new WeakMap()); // Leaflet layer -> badge text currently bound
+    // Read by the snapping hooks on every mouse move, so kept in refs rather than re-registering
+    const snapOptionsRef = useRef({ snapping, sharedEdges, readOnlyIds });
+    const [zoom, setZoom] = useState(() => map.getZoom());
+    const selectedIdRef = useRef(selectedId); // Read by marker clustering, the selected marker never clusters
+    const clustersRef = useRef(null);
+
+    useEffect(() => {
+        snapOptionsRef.current = { snapping, sharedEdges, readOnlyIds };
+    }, [snapping, sharedEdges, readOnlyIds]);
 
     useEffect(() => {
         shapesRef.current = shapes;
     }, [shapes]);
 
+    useEffect(() => {
+        selectedIdRef.current = selectedId;
+    }, [selectedId]);
+
+    useEffect(() => {
+        const onZoomEnd = () => setZoom(map.getZoom());
+        map.on('zoomend', onZoomEnd);
+        return () => map.off('zoomend', onZoomEnd);
+    }, [map]);
+
     const applyCurrentStyles = useCallback((currentShapes) => {
         if (!map) return;
         currentShapes.forEach(shape => {
@@ -243,27 +252,60 @@ function DrawControl({ onShapeUpdate, onShapeSelect, setIsEditing, isEditing, se
                         layer.setStyle({ color: shape.properties.color, fillColor: shape.properties.color });
                     }
                 }
-                if (layer.bindPopup && shape.properties.name) {
-                    layer.bindPopup(`<b>${layer.feature.properties.name}</b>`);
-                } else if (layer.bindPopup) {
-                    layer.bindPopup(`Shape ID: ${shape.id}`);
+                if (layer instanceof L.Polyline) {
+                    const smoothFactor = shape.properties.simplify ? SIMPLIFIED_SMOOTH_FACTOR : 1;
+                    if (layer.options.smoothFactor !== smoothFactor) {
+                        layer.options.smoothFactor = smoothFactor;
+                        if (layer._map) layer.redraw();
+                    }
+                }
+                if (layer.bindPopup) {
+                    layer.bindPopup(buildPopupContent(shape.id, layer.feature.properties));
                 }
             }
         });
     }, [map]);
 
 
+    // A part, hole or branch drawn for an existing shape becomes a modify of that shape
+    const handlePartCreated = useCallback((drawnGeometry) => {
+        const existingShape = shapesRef.current.find(s => s.id === partDrawing.shapeId);
+        if (!existingShape) return;
+
+        const { geometry, error } = extendGeometry(existingShape.geometry, partDrawing.mode, drawnGeometry.coordinates);
+        if (error) {
+            showToast(error, 'error');
+            return;
+        }
+        // A rectangle with an extra part or a hole is an ordinary polygon from now on
+        const properties = existingShape.properties.type === 'rectangle' ? { ...existingShape.properties, type: 'polygon' } : existingShape.properties;
+        const updatedFeature = stampVersion({ ...existingShape, geometry, properties }, existingShape);
+        onShapeUpdate(prev => prev.map(f => f.id === existingShape.id ? updatedFeature : f));
+        WebSocketService.sendMessage('modify', updatedFeature, updatedFeature.id);
+        HistoryService.record([{ id: existingShape.id, before: existingShape, after: updatedFeature }]);
+    }, [partDrawing, onShapeUpdate]);
+
     const handleCreate = useCallback((e) => {
         const layer = e.layer;
         const shapeType = e.layerType;
+
+        if (partDrawing) {
+            handlePartCreated(layer.toGeoJSON().geometry);
+            return;
+        }
         const defaultColor = '#3388ff';
 
         let initialProperties = {
             name: `Unnamed ${shapeType}`,
             color: defaultColor,
             type: shapeType,
-            id: L.Util.stamp(layer)
+            id: L.Util.stamp(layer),
+            layerId: activeLayerId
         };
+        if (ownerName) {
+            initialProperties.owner = ownerName;
+        }
+        initialProperties = withLayerRadius(layer, initialProperties);
 
         // Apply initial styles based on type
         if (shapeType === 'polyline') {
@@ -294,14 +336,16 @@ function DrawControl({ onShapeUpdate, onShapeSelect, setIsEditing, isEditing, se
         }
 
         // Get the full GeoJSON from the newly created layer
-        const geoJson = layer.toGeoJSON();
-        geoJson.id = initialProperties.id; // Assign the generated ID
-        geoJson.properties = initialProperties; // Assign initial properties
+        const geoJson = stampVersion({
+            ...layer.toGeoJSON(),
+            id: initialProperties.id, // Assign the generated ID
+            properties: initialProperties // Assign initial properties
+        });
 
         // Set layer.feature to the complete GeoJSON object immediately
         layer.feature = geoJson;
 
-        layer.bindPopup(`<b>${layer.feature.properties.name}</b>`);
+        layer.bindPopup(buildPopupContent(geoJson.id, layer.feature.properties));
         layer.on('click', () => onShapeSelect(layer.feature.properties.id));
 
         drawnItems.addLayer(layer);
@@ -309,10 +353,13 @@ function DrawControl({ onShapeUpdate, onShapeSelect, setIsEditing, isEditing, se
 
         onShapeUpdate(prev => [...prev, geoJson]);
         WebSocketService.sendMessage('add', geoJson);
-    }, [drawnItems, onShapeUpdate, onShapeSelect, map]);
+        HistoryService.record([{ id: geoJson.id, before: null, after: geoJson }]);
+    }, [drawnItems, onShapeUpdate, onShapeSelect, map, activeLayerId, ownerName, partDrawing, handlePartCreated]);
 
     const handleEdit = useCallback((e) => {
         const layers = e.layers;
+        const changes = [];
+        const messages = [];
         layers.eachLayer(layer => {
             // Get the current properties from the existing shape in state
             const existingShape = shapesRef.current.find(s => s.id === layer.feature.id);
@@ -323,30 +370,45 @@ function DrawControl({ onShapeUpdate, onShapeSelect, setIsEditing, isEditing, se
 
             const editedGeoJson = layer.toGeoJSON();
             // Preserve existing properties unless explicitly changed by editing
-            const updatedFeature = {
+            const updatedFeature = stampVersion({
                 ...existingShape, // Start with existing shape to keep all properties
                 geometry: editedGeoJson.geometry, // Update only geometry from edited GeoJSON
-            };
+                properties: withLayerRadius(layer, existingShape.properties) // A resized circle only changes its radius
+            }, existingShape);
 
             // Update layer.feature to reflect the new state for styling and future use
             layer.feature = updatedFeature;
 
-            WebSocketService.sendMessage('modify', updatedFeature, updatedFeature.id);
+            messages.push({ type: 'modify', data: updatedFeature, id: updatedFeature.id });
             onShapeUpdate(prev => prev.map(f =>
                 f.id === existingShape.id ? updatedFeature : f
             ));
+            changes.push({ id: existingShape.id, before: existingShape, after: updatedFeature });
         });
+        // Shapes saved together (e.g. both sides of a shared border) reach other clients together
+        if (messages.length > 1) {
+            WebSocketService.sendMessage('batch', messages);
+        } else if (messages.length === 1) {
+            WebSocketService.sendMessage('modify', messages[0].data, messages[0].id);
+        }
+        HistoryService.record(changes);
     }, [onShapeUpdate]);
 
     const handleDelete = useCallback((e) => {
         const layers = e.layers;
+        const changes = [];
         layers.eachLayer(layer => {
             if (layer.feature && layer.feature.properties) {
+                const existingShape = shapesRef.current.find(s => s.id === layer.feature.properties.id);
                 delete layerMapRef.current[layer.feature.properties.id];
                 WebSocketService.sendMessage('remove', null, layer.feature.properties.id);
                 onShapeUpdate(prev => prev.filter(f => f.id !== layer.feature.properties.id));
+                if (existingShape) {
+                    changes.push({ id: existingShape.id, before: existingShape, after: null });
+                }
             }
         });
+        HistoryService.record(changes);
     }, [onShapeUpdate]);
 
     useEffect(() => { handleCreateRef.current = handleCreate; }, [handleCreate]);
@@ -361,15 +423,23 @@ function DrawControl({ onShapeUpdate, onShapeSelect, setIsEditing, isEditing, se
         }
 
         map.addLayer(drawnItems);
+        map.addLayer(lockedItems);
+
+        const disableSnapping = enableSnapping(map, {
+            getLayers: () => [drawnItems, lockedItems],
+            // Shapes soft-locked by another editor stay put even when they share the border
+            getEditableLayers: () => drawnItems.getLayers().filter(layer => !snapOptionsRef.current.readOnlyIds.has(layer.feature?.id)),
+            isEnabled: () => snapOptionsRef.current.snapping,
+            isSharedEdges: () => snapOptionsRef.current.sharedEdges
+        });
 
-        drawControlRef.current = new L.Control.Draw({
-            edit: { featureGroup: drawnItems, edit: {}, remove: {} },
-            draw: {
-                polyline: {}, polygon: { showArea: true }, rectangle: false,
-                marker: {}, circle: false, circlemarker: false
-            }
+        // Every marker shows on its own while the edit toolbar is active, so all of them can be dragged
+        let isToolbarEditing = false;
+        clustersRef.current = enableMarkerClustering(map, {
+            getMarkers: () => [...drawnItems.getLayers(), ...lockedItems.getLayers()].filter(layer => layer instanceof L.Marker),
+            isExcluded: (marker) => isToolbarEditing || marker.feature?.id === selectedIdRef.current || !!marker.editing?.enabled(),
+            onSelect: (marker) => onShapeSelect(marker.feature.id)
         });
-        map.addControl(drawControlRef.current);
 
         const createdHandler = (e) => handleCreateRef.current && handleCreateRef.current(e);
         const editedHandler = (e) => handleEditRef.current && handleEditRef.current(e);
@@ -382,31 +452,87 @@ function DrawControl({ onShapeUpdate, onShapeSelect, setIsEditing, isEditing, se
         const editStartHandler = () => {
             setIsEditing(true);
             applyCurrentStyles(shapesRef.current); // Ensure styles are correct when editing starts
+            isToolbarEditing = true;
+            clustersRef.current.refresh();
         };
         const editStopHandler = () => {
             setIsEditing(false);
             applyCurrentStyles(shapesRef.current); // Ensure styles are correct when editing stops
+            isToolbarEditing = false;
+            clustersRef.current.refresh();
         };
 
         map.on(L.Draw.Event.EDITSTART, editStartHandler);
         map.on(L.Draw.Event.EDITSTOP, editStopHandler);
 
+        // Popup content is rebuilt each time it opens
+        const popupOpenHandler = (e) => {
+            const button = e.popup.getElement()?.querySelector('.shape-link-button');
+            if (button) button.addEventListener('click', () => copyShapeLink(button.dataset.shapeId));
+        };
+        map.on('popupopen', popupOpenHandler);
+
         return () => {
             map.off(L.Draw.Event.CREATED, createdHandler);
             map.off(L.Draw.Event.EDITED, editedHandler);
             map.off(L.Draw.Event.DELETED, deletedHandler);
             map.off(L.Draw.Event.EDITSTART, editStartHandler);
             map.off(L.Draw.Event.EDITSTOP, editStopHandler);
+            map.off('popupopen', popupOpenHandler);
+            disableSnapping();
+            clustersRef.current.disable();
+            clustersRef.current = null;
+
+            drawnItems.clearLayers();
+            lockedItems.clearLayers();
+            map.removeLayer(lockedItems);
+            layerMapRef.current = {};
+        };
+    }, [map, drawnItems, lockedItems, setIsEditing, applyCurrentStyles, onShapeSelect]);
+
+    useEffect(() => {
+        // Viewers get no toolbar at all; kept apart from the setup above so a role change
+        // doesn't tear down the rendered layers.
+        if (!map || !canDraw) return;
+
+        drawControlRef.current = new L.Control.Draw({
+            edit: { featureGroup: drawnItems, edit: {}, remove: {} },
+            draw: {
+                polyline: {}, polygon: { showArea: true }, rectangle: { showArea: true },
+                marker: {}, circle: {}, circlemarker: {}
+            }
+        });
+        map.addControl(drawControlRef.current);
 
+        return () => {
             if (drawControlRef.current) {
                 map.removeControl(drawControlRef.current);
                 drawControlRef.current = null;
             }
-            drawnItems.clearLayers();
-            layerMapRef.current = {};
         };
-    }, [map, drawnItems, setIsEditing, applyCurrentStyles]);
+    }, [map, drawnItems, canDraw]);
+
 
+    useEffect(() => {
+        // Drawing a part for the selected shape uses a plain draw handler outside the toolbar;
+        // finishing it, cancelling it (Escape) or picking another tool ends the part drawing
+        if (!map || !partDrawing) return;
+
+        const handler = partDrawing.mode === 'branch'
+            ? new L.Draw.Polyline(map, {})
+            : new L.Draw.Polygon(map, { showArea: true });
+        const drawStopHandler = () => onPartDrawingEnd();
+        handler.enable();
+        // Registered after enable so only the toolbar starting another tool counts
+        map.on(L.Draw.Event.DRAWSTART, drawStopHandler);
+        map.on(L.Draw.Event.DRAWSTOP, drawStopHandler);
+
+        return () => {
+            map.off(L.Draw.Event.DRAWSTART, drawStopHandler);
+            map.off(L.Draw.Event.DRAWSTOP, drawStopHandler);
+            handler.disable();
+        };
+    }, [map, partDrawing, onPartDrawingEnd]);
 
     // This useEffect is critical for synchronizing Leaflet layers with the 'shapes' state.
     // It should handle:
@@ -432,6 +558,7 @@ function DrawControl({ onShapeUpdate, onShapeSelect, setIsEditing, isEditing, se
                         }
                     }
                     drawnItems.removeLayer(layerToRemove);
+                    lockedItems.removeLayer(layerToRemove);
                     map.removeLayer(layerToRemove); // Ensure it's removed from the map
                 }
                 delete layerMapRef.current[id];
@@ -448,8 +575,11 @@ function DrawControl({ onShapeUpdate, onShapeSelect, setIsEditing, isEditing, se
                 // If layer exists, check if its geometry has changed.
                 // Safely check for geometry existence before accessing its properties.
                 if (layer.feature && layer.feature.geometry) {
+                    // The radius and shape type decide the kind of layer as much as the coordinates do
                     if (layer.feature.geometry.type !== cleanedFeature.geometry.type ||
-                        JSON.stringify(layer.feature.geometry.coordinates) !== JSON.stringify(cleanedFeature.geometry.coordinates)) {
+                        JSON.stringify(layer.feature.geometry.coordinates) !== JSON.stringify(cleanedFeature.geometry.coordinates) ||
+                        layer.feature.properties?.radius !== cleanedFeature.properties.radius ||
+                        layer.feature.properties?.type !== cleanedFeature.properties.type) {
                         shouldRecreateLayer = true;
                     }
                 } else {
@@ -474,13 +604,19 @@ function DrawControl({ onShapeUpdate, onShapeSelect, setIsEditing, isEditing, se
                         }
                     }
                     drawnItems.removeLayer(layer);
+                    lockedItems.removeLayer(layer);
                     map.removeLayer(layer);
                     delete layerMapRef.current[feature.id];
                 }
 
                 // Create a new layer based on the updated/new feature
-                if (cleanedFeature.geometry.type === 'Circle') {
-                    const center = L.latLng(cleanedFeature.geometry.coordinates);
+                const isPoint = cleanedFeature.geometry.type === 'Point';
+                const isCircle = cleanedFeature.geometry.type === 'Circle' || (isPoint && cleanedFeature.properties.type === 'circle');
+                const rectangleRing = cleanedFeature.properties.type === 'rectangle' && cleanedFeature.geometry.type === 'Polygon' &&
+                    cleanedFeature.geometry.coordinates.length === 1 ? cleanedFeature.geometry.coordinates[0] : null;
+                if (isCircle) {
+                    // The older 'Circle' geometry stored its center as [lat, lng]
+                    const center = isPoint ? pointLatLng(cleanedFeature.geometry.coordinates) : L.latLng(cleanedFeature.geometry.coordinates);
                     const fillStyle = getFillStyle(cleanedFeature.properties.customFillType, cleanedFeature.properties.color, map);
                     layer = L.circle(center, {
                         radius: cleanedFeature.properties.radius,
@@ -490,9 +626,16 @@ function DrawControl({ onShapeUpdate, onShapeSelect, setIsEditing, isEditing, se
                         fillOpacity: fillStyle.fillOpacity,
                         fillPattern: fillStyle.fillPattern
                     });
-                } else if (cleanedFeature.geometry.type === 'Point' && cleanedFeature.properties.type === 'marker') {
-                    const latlng = L.latLng(cleanedFeature.geometry.coordinates[1], cleanedFeature.geometry.coordinates[0]);
-                    layer = L.marker(latlng, {
+                } else if (isPoint && cleanedFeature.properties.type === 'circlemarker') {
+                    layer = L.circleMarker(pointLatLng(cleanedFeature.geometry.coordinates), {
+                        color: cleanedFeature.properties.color,
+                        fillColor: cleanedFeature.properties.color
+                    });
+                } else if (rectangleRing) {
+                    // Kept an L.Rectangle so editing resizes it instead of moving single corners
+                    layer = L.rectangle(L.latLngBounds(rectangleRing.map(pointLatLng)));
+                } else if (isPoint && cleanedFeature.properties.type === 'marker') {
+                    layer = L.marker(pointLatLng(cleanedFeature.geometry.coordinates), {
                         icon: L.divIcon({
                             className: 'custom-marker-icon',
                             html: `<svg width="24" height="24" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
@@ -509,7 +652,8 @@ function DrawControl({ onShapeUpdate, onShapeSelect, setIsEditing, isEditing, se
                         geometry: cleanedFeature.geometry,
                         properties: cleanedFeature.properties
                     };
-                    layer = L.geoJSON(geoJsonToProcess).getLayers()[0];
+                    // Multi-part geometries and polygons with holes become a single layer with nested latlngs
+                    layer = L.GeoJSON.geometryToLayer(geoJsonToProcess);
                 }
 
                 if (layer) {
@@ -537,13 +681,63 @@ function DrawControl({ onShapeUpdate, onShapeSelect, setIsEditing, isEditing, se
             // This is done for both newly created and existing layers (if geometry didn't change)
             applyCurrentStyles([cleanedFeature]);
         });
-    }, [shapes, map, onShapeSelect, drawnItems, applyCurrentStyles]);
+
+    }, [shapes, map, onShapeSelect, drawnItems, lockedItems, applyCurrentStyles]);
+
+    useEffect(() => {
+        // Move every Leaflet layer into the group its map layer calls for (none when hidden or
+        // outside its zoom range), walking back-to-front so bringToFront leaves them in layer order.
+        // The selected shape stays drawn at any zoom so it can still be edited.
+        const layerOrder = new Map(layers.map((mapLayer, index) => [mapLayer.id, index]));
+        [...shapes]
+            .sort((a, b) => layerOrder.get(getShapeLayerId(a, layers)) - layerOrder.get(getShapeLayerId(b, layers)))
+            .forEach(feature => {
+                const layer = layerMapRef.current[feature.id];
+                if (!layer) return;
+
+                const mapLayer = findLayer(layers, getShapeLayerId(feature, layers));
+                const isEditable = !mapLayer.locked && isShapeEditable(feature, mapLayer.id);
+                const isShown = !hiddenLayerIds.has(mapLayer.id) && (feature.id === selectedId || isShapeVisibleAtZoom(feature, layers, zoom));
+                const targetGroup = isShown ? (isEditable ? drawnItems : lockedItems) : null;
+
+                [drawnItems, lockedItems].forEach(group => {
+                    if (group !== targetGroup && group.hasLayer(layer)) {
+                        if (layer.editing && layer.editing.enabled()) {
+                            layer.editing.disable();
+                        }
+                        group.removeLayer(layer);
+                    }
+                });
+                if (!targetGroup) return;
+                if (!targetGroup.hasLayer(layer)) {
+                    targetGroup.addLayer(layer);
+                }
+
+                if (layer.bringToFront) {
+                    layer.bringToFront();
+                } else if (layer.setZIndexOffset) {
+                    layer.setZIndexOffset(layerOrder.get(mapLayer.id) * 1000);
+                }
+            });
+        clustersRef.current?.refresh();
+    }, [shapes, drawnItems, lockedItems, layers, hiddenLayerIds, isShapeEditable, zoom, selectedId]);
+
+    useEffect(() => {
+        // A shape opened from a link shows its popup as soon as it is on the map
+        if (popupShapeId == null) return;
+        const layer = layerMapRef.current[popupShapeId];
+        if (!layer || !map.hasLayer(layer) || !layer.getPopup()) return;
+        layer.openPopup();
+        onPopupShown();
+    }, [popupShapeId, shapes, hiddenLayerIds, zoom, map, onPopupShown]);
 
     useEffect(() => {
         // Only enable editing for the selected shape if the global edit mode is active.
         Object.values(layerMapRef.current).forEach(layer => {
             if (layer.feature && layer.editing) {
-                if (layer.feature.id === selectedId && isEditing) { // Only enable if selected AND global edit mode is on
+                // Shapes on hidden or locked layers are not in drawnItems and stay read-only
+                // Shapes someone else is editing (readOnlyIds) are soft-locked the same way
+                if (layer.feature.id === selectedId && isEditing && drawnItems.hasLayer(layer) && !readOnlyIds.has(selectedId)) { // Only enable if selected AND global edit mode is on
                     if (!layer.editing.enabled()) {
                         layer.editing.enable();
                     }
@@ -555,7 +749,27 @@ function DrawControl({ onShapeUpdate, onShapeSelect, setIsEditing, isEditing, se
             }
         });
         // The setIsEditing state is now solely managed by the L.Draw.Event.EDITSTART/EDITSTOP handlers.
-    }, [selectedId, isEditing]); // Depend on isEditing as well
+    }, [selectedId, isEditing, drawnItems, layers, hiddenLayerIds, readOnlyIds]); // Depend on isEditing as well
+
+    useEffect(() => {
+        // Badge every shape another user has in edit mode; layers recreated by a sync lose their
+        // tooltip, which is why this also runs when shapes change.
+        const badges = softLockBadgesRef.current;
+        Object.values(layerMapRef.current).forEach(layer => {
+            const editor = layer.feature ? remoteEditors.get(layer.feature.id) : null;
+            const text = editor ? `✎ ${escapeHtml(editor.name)} is editing` : null;
+            if (badges.get(layer) === text) return;
+
+            if (badges.has(layer)) {
+                layer.unbindTooltip();
+                badges.delete(layer);
+            }
+            if (text) {
+                layer.bindTooltip(text, { permanent: true, direction: 'top', className: 'soft-lock-badge' });
+                badges.set(layer, text);
+            }
+        });
+    }, [remoteEditors, shapes]);
 
     return null;
 }
@@ -0,0 +1,218 @@
+// BooleanOps.jsx
+// Territory changes between polygons: merge, subtract, clip and split along a line, and
+// adding drawn parts, holes and branches to a shape.
+import polygonClipping from 'polygon-clipping';
+import { createShapeId } from "./GeoJsonUtils.jsx";
+
+// consumesTarget: the other shape is removed too, so it has to be editable as well
+export const BOOLEAN_OPERATIONS = {
+    union: { label: 'Merge with', target: 'polygon', consumesTarget: true },
+    difference: { label: 'Subtract', target: 'polygon' },
+    intersection: { label: 'Clip to', target: 'polygon' },
+    split: { label: 'Split along', target: 'polyline' }
+};
+
+export const isPolygonShape = (shape) => ['Polygon', 'MultiPolygon'].includes(shape?.geometry?.type);
+export const isLineShape = (shape) => ['LineString', 'MultiLineString'].includes(shape?.geometry?.type);
+
+const polygonsOf = (geometry) => geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+const linesOf = (geometry) => geometry.type === 'MultiLineString' ? geometry.coordinates : [geometry.coordinates];
+
+const boundsOf = (points) => points.reduce(([minX, minY, maxX, maxY], [x, y]) => [
+    Math.min(minX, x), Math.min(minY, y), Math.max(maxX, x), Math.max(maxY, y)
+], [Infinity, Infinity, -Infinity, -Infinity]);
+
+// Where a ray from `from` heading along (dx, dy) leaves the rectangle it starts in
+const exitPoint = ([x, y], [dx, dy], [minX, minY, maxX, maxY]) => {
+    const ts = [];
+    if (dx > 0) ts.push((maxX - x) / dx);
+    if (dx < 0) ts.push((minX - x) / dx);
+    if (dy > 0) ts.push((maxY - y) / dy);
+    if (dy < 0) ts.push((minY - y) / dy);
+    const t = Math.min(...ts);
+    return [x + dx * t, y + dy * t];
+};
+
+// Even-odd test over every ring, so a point inside a hole counts as outside
+const isInside = ([x, y], rings) => rings.reduce((inside, ring) => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}, false);
+
+const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+
+const segmentsCross = (a, b, c, d) =>
+    cross(a, b, c) * cross(a, b, d) < 0 && cross(c, d, a) * cross(c, d, b) < 0;
+
+const crossesRings = (a, b, rings) => rings.some(ring =>
+    ring.some((point, i) => i > 0 && segmentsCross(a, b, ring[i - 1], point)));
+
+// Position along the rectangle's outline, counter-clockwise from the bottom-left corner
+const perimeterPosition = ([x, y], [minX, minY, maxX, maxY]) => {
+    const width = maxX - minX;
+    const height = maxY - minY;
+    if (y === minY) return x - minX;
+    if (x === maxX) return width + (y - minY);
+    if (y === maxY) return width + height + (maxX - x);
+    return 2 * width + height + (maxY - y);
+};
+
+/**
+ * The part of a big rectangle around the polygon that lies on one side of the line. The line is
+ * stretched past both its ends to the rectangle's edge, then the outline is followed back to
+ * the start, so polygon ∩ side and polygon − side are the two halves, sharing the cut exactly.
+ */
+function sideOfLine(line, rings) {
+    const [minX, minY, maxX, maxY] = boundsOf([...rings.flat(), ...line]);
+    const margin = Math.max(maxX - minX, maxY - minY) || 1;
+    const box = [minX - margin, minY - margin, maxX + margin, maxY + margin];
+
+    const first = line[0];
+    const last = line[line.length - 1];
+    const start = exitPoint(first, [first[0] - line[1][0], first[1] - line[1][1]], box);
+    const end = exitPoint(last, [last[0] - line[line.length - 2][0], last[1] - line[line.length - 2][1]], box);
+
+    // A line that stops inside the shape, or whose extension runs back into it, doesn't say where to cut
+    if (isInside(first, rings) || isInside(last, rings) || crossesRings(first, start, rings) || crossesRings(last, end, rings)) {
+        return null;
+    }
+
+    const corners = [[box[0], box[1]], [box[2], box[1]], [box[2], box[3]], [box[0], box[3]]];
+    const perimeter = 2 * (box[2] - box[0]) + 2 * (box[3] - box[1]);
+    const startPos = perimeterPosition(start, box);
+    const endPos = perimeterPosition(end, box);
+    const ahead = (position) => (position - endPos + perimeter) % perimeter;
+    const walk = corners
+        .filter(corner => ahead(perimeterPosition(corner, box)) < ahead(startPos))
+        .sort((a, b) => ahead(perimeterPosition(a, box)) - ahead(perimeterPosition(b, box)));
+
+    return [[start, ...line, end, ...walk, start]];
+}
+
+// Cuts the polygons along every line of the shape in turn; null when a line can't be used
+function splitPolygons(multiPolygon, lineShape) {
+    let pieces = multiPolygon;
+    for (const line of linesOf(lineShape.geometry)) {
+        if (line.length < 2) continue;
+        const side = sideOfLine(line, pieces.flat());
+        if (!side) return null;
+        pieces = [...polygonClipping.intersection(pieces, side), ...polygonClipping.difference(pieces, side)];
+    }
+    return pieces;
+}
+
+const CLIPPING_ERROR = 'These outlines could not be combined, check that they do not cross themselves.';
+
+const toPolygonGeometry = (parts) => parts.length === 1
+    ? { type: 'Polygon', coordinates: parts[0] }
+    : { type: 'MultiPolygon', coordinates: parts };
+
+/**
+ * Adds a freshly drawn piece to an existing geometry: a polygon 'part' (an island or exclave,
+ * merged with the parts it overlaps), a 'hole' cut out of the polygon, or a 'branch' of a line.
+ * @param {object} geometry Polygon/MultiPolygon, or LineString/MultiLineString for 'branch'
+ * @param {'part'|'hole'|'branch'} mode
+ * @param {Array} coordinates the drawn polygon's rings, or the drawn line's points
+ * @returns {{ geometry?: object, error?: string }}
+ */
+export function extendGeometry(geometry, mode, coordinates) {
+    try {
+        switch (mode) {
+            case 'part':
+                return { geometry: toPolygonGeometry(polygonClipping.union(polygonsOf(geometry), coordinates)) };
+            case 'hole': {
+                const parts = polygonClipping.difference(polygonsOf(geometry), coordinates);
+                if (parts.length === 0) return { error: 'The hole would cover the whole shape.' };
+                return { geometry: toPolygonGeometry(parts) };
+            }
+            case 'branch':
+                return { geometry: { type: 'MultiLineString', coordinates: [...linesOf(geometry), coordinates] } };
+            default:
+                return { error: `Unknown part type: ${mode}` };
+        }
+    } catch (error) {
+        // polygon-clipping throws on degenerate or self-intersecting rings
+        console.error(`Failed to add the ${mode}:`, error);
+        return { error: CLIPPING_ERROR };
+    }
+}
+
+/**
+ * Runs a boolean operation between the selected polygon and a target shape and returns the
+ * resulting changes, ready for HistoryService and a single batch message. Inputs that are used
+ * up are removed and the result is added as one new shape carrying the selected shape's
+ * properties, a MultiPolygon when it falls apart in several parts. A split is the exception:
+ * each piece becomes its own polygon, numbered after the original name.
+ * @param {'union'|'difference'|'intersection'|'split'} operation
+ * @param {object} shape the selected polygon
+ * @param {object} target a polygon, or a polyline for 'split'
+ * @param {string} [ownerName] set as the owner of the new polygons, like freshly drawn shapes
+ * @returns {{ changes: Array<{ id, before, after }>, error?: string }}
+ */
+export function applyBooleanOperation(operation, shape, target, ownerName) {
+    const source = polygonsOf(shape.geometry);
+    let parts;
+    // polygon-clipping throws on degenerate or self-intersecting rings
+    try {
+        switch (operation) {
+            case 'union':
+                parts = polygonClipping.union(source, polygonsOf(target.geometry));
+                break;
+            case 'difference':
+                parts = polygonClipping.difference(source, polygonsOf(target.geometry));
+                break;
+            case 'intersection':
+                parts = polygonClipping.intersection(source, polygonsOf(target.geometry));
+                break;
+            case 'split':
+                parts = splitPolygons(source, target);
+                if (!parts || parts.length < 2) {
+                    return { changes: [], error: 'The line has to cross this shape from one side to the other.' };
+                }
+                break;
+            default:
+                return { changes: [], error: `Unknown operation: ${operation}` };
+        }
+    } catch (error) {
+        console.error(`The ${operation} of the shapes failed:`, error);
+        return { changes: [], error: CLIPPING_ERROR };
+    }
+
+    if (parts.length === 0) {
+        return { changes: [], error: operation === 'intersection' ? 'The shapes do not overlap.' : 'Nothing would be left of this shape.' };
+    }
+
+    // The target is consumed by a merge; it only shapes the result of the other operations
+    const removed = operation === 'union' ? [shape, target] : [shape];
+    const name = shape.properties.name;
+    // Still one territory after a union, difference or intersection, even in several parts
+    const pieces = operation === 'split' ? parts.map(part => [part]) : [parts];
+    const added = pieces.map((piece, index) => {
+        const id = createShapeId();
+        return {
+            type: 'Feature',
+            id,
+            geometry: toPolygonGeometry(piece),
+            properties: {
+                ...shape.properties,
+                id,
+                // A clipped rectangle is no longer one
+                type: 'polygon',
+                name: pieces.length > 1 && name ? `${name} (${index + 1})` : name,
+                ...(ownerName ? { owner: ownerName } : {}),
+                version: 0
+            }
+        };
+    });
+
+    return {
+        changes: [
+            ...removed.map(before => ({ id: before.id, before, after: null })),
+            ...added.map(after => ({ id: after.id, before: null, after }))
+        ]
+    };
+}
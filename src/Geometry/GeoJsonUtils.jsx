@@ -0,0 +1,340 @@
+// GeoJsonUtils.jsx
+import { stampVersion } from "../Messaging/Versioning.jsx";
+
+// Nesting depth of the coordinates array for each geometry type
+const SUPPORTED_GEOMETRIES = {
+    Point: 0,
+    LineString: 1,
+    MultiLineString: 2,
+    Polygon: 2,
+    MultiPolygon: 3
+};
+
+const DEFAULT_TYPE_FOR_GEOMETRY = {
+    Point: 'marker',
+    LineString: 'polyline',
+    MultiLineString: 'polyline',
+    Polygon: 'polygon',
+    MultiPolygon: 'polygon'
+};
+
+const isValidCoordinatePair = (coordPair) => {
+    if (!Array.isArray(coordPair) || coordPair.length !== 2) return false;
+    const lon = parseFloat(coordPair[0]);
+    const lat = parseFloat(coordPair[1]);
+    return !isNaN(lon) && !isNaN(lat) && Number.isFinite(lon) && Number.isFinite(lat);
+};
+
+const cleanCoordinatePair = (coordPair) => {
+    if (!Array.isArray(coordPair) || coordPair.length !== 2) {
+        console.warn("Expected [lon, lat] pair, got non-array or wrong length:", coordPair);
+        return [0, 0];
+    }
+    const lon = parseFloat(coordPair[0]);
+    const lat = parseFloat(coordPair[1]);
+
+    if (!isValidCoordinatePair(coordPair)) {
+        console.warn("Invalid coordinate value (NaN/Infinity) detected, defaulting to 0:", coordPair);
+        return [0, 0];
+    }
+    return [lon, lat];
+};
+
+const cleanCoordinatesRecursive = (coordinates) => {
+    if (!Array.isArray(coordinates)) {
+        return coordinates;
+    }
+
+    if (coordinates.length === 2 && (typeof coordinates[0] === 'number' || typeof coordinates[0] === 'string') && (typeof coordinates[1] === 'number' || typeof coordinates[1] === 'string')) {
+        return cleanCoordinatePair(coordinates);
+    }
+
+    return coordinates.map(subCoord => cleanCoordinatesRecursive(subCoord));
+};
+
+export const ensurePolygonClosedAndClean = (geoJsonFeature) => {
+    const newFeature = JSON.parse(JSON.stringify(geoJsonFeature));
+
+    if (!newFeature.properties) {
+        newFeature.properties = {};
+    }
+    if (!newFeature.geometry) {
+        newFeature.geometry = { type: null, coordinates: [] };
+    }
+
+    if (Array.isArray(newFeature.geometry.coordinates)) {
+        newFeature.geometry.coordinates = cleanCoordinatesRecursive(newFeature.geometry.coordinates);
+
+        const polygons = newFeature.geometry.type === 'Polygon' ? [newFeature.geometry.coordinates]
+            : (newFeature.geometry.type === 'MultiPolygon' ? newFeature.geometry.coordinates : []);
+        polygons.forEach(rings => {
+            if (!Array.isArray(rings)) return;
+            for (let i = 0; i < rings.length; i++) {
+                const ring = rings[i];
+                if (Array.isArray(ring) && ring.length > 0) {
+                    const firstPoint = ring[0];
+                    const lastPoint = ring[ring.length - 1];
+
+                    if (firstPoint[0] !== lastPoint[0] || firstPoint[1] !== lastPoint[1]) {
+                        console.warn("Polygon ring not closed, closing it for feature ID:", newFeature.id || 'unknown', ring);
+                        ring.push([...firstPoint]);
+                    }
+                } else {
+                    console.warn("Invalid polygon ring structure detected, replacing with empty array for feature ID:", newFeature.id || 'unknown', ring);
+                    rings[i] = [];
+                }
+            }
+        });
+    }
+    return newFeature;
+};
+
+/**
+ * Ids for shapes that are not created by leaflet-draw (imports, generated features).
+ * Large enough not to collide with L.Util.stamp ids handed out by any client.
+ */
+let lastShapeId = 0;
+export const createShapeId = () => {
+    // Strictly increasing so ids generated in the same millisecond never collide locally
+    lastShapeId = Math.max(Date.now() * 1000 + Math.floor(Math.random() * 1000), lastShapeId + 1);
+    return lastShapeId;
+};
+
+// Walks a coordinates array down to `depth` levels of nesting and returns the first error found
+const findCoordinateError = (coordinates, depth) => {
+    if (depth === 0) {
+        return isValidCoordinatePair(coordinates) ? null : `invalid coordinate ${JSON.stringify(coordinates)}`;
+    }
+    if (!Array.isArray(coordinates)) return 'coordinates are not an array';
+    for (const child of coordinates) {
+        const error = findCoordinateError(child, depth - 1);
+        if (error) return error;
+    }
+    return null;
+};
+
+// A ring needs three distinct points; the closing point is added if missing
+const isRingTooShort = (ring) => {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    const isClosed = ring.length > 1 && first[0] === last[0] && first[1] === last[1];
+    return ring.length < (isClosed ? 4 : 3);
+};
+
+const findPolygonError = (rings) => {
+    if (rings.length === 0) return 'polygon has no rings';
+    if (rings.some(isRingTooShort)) return 'polygon ring needs at least 3 points';
+    return null;
+};
+
+/**
+ * Checks a geometry's type and coordinates: every coordinate a finite pair, lines with two points
+ * or more, polygons (and each part of a multi-polygon) with rings of at least three points.
+ * @returns {string|null} a human readable reason, or null when the geometry is usable
+ */
+export const findGeometryError = (geometry) => {
+    if (!geometry || typeof geometry.type !== 'string') return 'missing geometry';
+    if (!(geometry.type in SUPPORTED_GEOMETRIES)) return `unsupported geometry type ${geometry.type}`;
+
+    const coordinateError = findCoordinateError(geometry.coordinates, SUPPORTED_GEOMETRIES[geometry.type]);
+    if (coordinateError) return coordinateError;
+
+    switch (geometry.type) {
+        case 'LineString':
+            return geometry.coordinates.length < 2 ? 'line needs at least 2 points' : null;
+        case 'MultiLineString':
+            if (geometry.coordinates.length === 0) return 'multi-line has no lines';
+            return geometry.coordinates.some(line => line.length < 2) ? 'line needs at least 2 points' : null;
+        case 'Polygon':
+            return findPolygonError(geometry.coordinates);
+        case 'MultiPolygon':
+            if (geometry.coordinates.length === 0) return 'multi-polygon has no polygons';
+            return geometry.coordinates.map(findPolygonError).find(Boolean) || null;
+        default:
+            return null;
+    }
+};
+
+/**
+ * Checks a feature from an external source against the same rules ensurePolygonClosedAndClean
+ * applies to live data, but reports problems instead of silently patching them.
+ * @returns {string|null} a human readable reason, or null when the feature is usable
+ */
+export const validateFeature = (feature) => {
+    if (!feature || feature.type !== 'Feature') return 'not a GeoJSON Feature';
+    return findGeometryError(feature.geometry);
+};
+
+/**
+ * Turns a validated external feature into the shape format used in the app state:
+ * cleaned coordinates, an id, and the properties the styling code relies on.
+ */
+export const normalizeImportedFeature = (feature) => {
+    const cleaned = ensurePolygonClosedAndClean(feature);
+    const id = cleaned.id ?? cleaned.properties.id ?? createShapeId();
+    const type = cleaned.properties.type || DEFAULT_TYPE_FOR_GEOMETRY[cleaned.geometry.type];
+
+    const properties = {
+        name: `Unnamed ${type}`,
+        color: '#3388ff',
+        ...cleaned.properties,
+        type,
+        id
+    };
+    if (type === 'polyline' && !properties.customType) properties.customType = 'default';
+    if (type === 'polygon' && !properties.customFillType) properties.customFillType = 'default';
+
+    return { type: 'Feature', id, geometry: cleaned.geometry, properties };
+};
+
+/**
+ * Serializes the map as a GeoJSON FeatureCollection. Layer definitions travel along as a
+ * foreign member so an export can be re-imported without losing its layers.
+ */
+export const toFeatureCollection = (shapes, layers) => ({
+    type: 'FeatureCollection',
+    features: shapes.map(shape => ({
+        type: 'Feature',
+        id: shape.id,
+        geometry: shape.geometry,
+        properties: shape.properties
+    })),
+    layers
+});
+
+/**
+ * Compares an imported FeatureCollection with the current shapes.
+ * - added: ids that don't exist yet
+ * - changed: existing ids whose geometry or properties differ
+ * - unchanged: existing ids that are identical
+ * - conflicts: ids that exist with a different geometry type, or that appear twice in the file
+ * - invalid: features that failed validation, with the reason
+ */
+export const previewImport = (collection, currentShapes) => {
+    const preview = { added: [], changed: [], unchanged: [], conflicts: [], invalid: [] };
+
+    if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+        preview.invalid.push({ index: -1, reason: 'file is not a GeoJSON FeatureCollection' });
+        return preview;
+    }
+
+    const currentById = new Map(currentShapes.map(shape => [shape.id, shape]));
+    const seenIds = new Set();
+
+    collection.features.forEach((feature, index) => {
+        const reason = validateFeature(feature);
+        if (reason) {
+            preview.invalid.push({ index, reason });
+            return;
+        }
+
+        const normalized = normalizeImportedFeature(feature);
+        if (seenIds.has(normalized.id)) {
+            preview.conflicts.push({ feature: normalized, reason: 'duplicate id in file' });
+            return;
+        }
+        seenIds.add(normalized.id);
+
+        const existing = currentById.get(normalized.id);
+        if (!existing) {
+            preview.added.push(normalized);
+        } else if (existing.geometry.type !== normalized.geometry.type) {
+            preview.conflicts.push({ feature: normalized, existing, reason: `is a ${existing.geometry.type} on the map` });
+        } else if (JSON.stringify(existing.geometry) !== JSON.stringify(normalized.geometry) ||
+            JSON.stringify(existing.properties) !== JSON.stringify(normalized.properties)) {
+            preview.changed.push({ feature: normalized, existing });
+        } else {
+            preview.unchanged.push(normalized);
+        }
+    });
+
+    return preview;
+};
+
+/**
+ * Merges a previewed import into the current shapes.
+ * @param {object} preview result of previewImport
+ * @param {Array} currentShapes
+ * @param {'copy'|'overwrite'|'skip'} conflictStrategy how conflicting ids are handled
+ * @returns {{ shapes: Array, changes: Array }} the full merged shape list and the history changes
+ */
+export const applyImport = (preview, currentShapes, conflictStrategy) => {
+    const merged = new Map(currentShapes.map(shape => [shape.id, shape]));
+    const changes = [];
+
+    const put = (feature) => {
+        const before = merged.get(feature.id) || null;
+        const after = stampVersion(feature, before);
+        changes.push({ id: feature.id, before, after });
+        merged.set(feature.id, after);
+    };
+
+    preview.added.forEach(put);
+    preview.changed.forEach(({ feature }) => put(feature));
+    preview.conflicts.forEach(({ feature }) => {
+        if (conflictStrategy === 'overwrite') {
+            put(feature);
+        } else if (conflictStrategy === 'copy') {
+            const id = createShapeId();
+            put({ ...feature, id, properties: { ...feature.properties, id } });
+        }
+    });
+
+    return { shapes: Array.from(merged.values()), changes };
+};
+
+// The properties a diff lists one by one; any other change is only flagged
+export const DIFF_PROPERTIES = ['name', 'color', 'customType', 'customFillType'];
+
+// How the diff view marks each kind of change, on the map and in its list
+export const DIFF_COLORS = {
+    added: '#27ae60',
+    removed: '#c0392b',
+    modified: '#e67e22'
+};
+
+// Version and timestamp change with every save, so they don't count as a difference
+const comparableProperties = (shape) => {
+    const properties = { ...shape.properties };
+    delete properties.version;
+    delete properties.updatedAt;
+    return properties;
+};
+
+/**
+ * Compares two full shape lists by id, e.g. a snapshot with the live map.
+ * @param {Array} from the older or reference state
+ * @param {Array} to the state compared with it
+ * @returns {{ added: Array, removed: Array, changed: Array<{ before, after, geometryChanged: boolean,
+ *   propertyChanges: Array<{ key: string, before, after }>, otherPropertiesChanged: boolean }> }}
+ *   added are in `to` only, removed in `from` only; a circle's radius counts as geometry
+ */
+export const compareShapeSets = (from, to) => {
+    const fromById = new Map(from.map(shape => [shape.id, shape]));
+    const toIds = new Set(to.map(shape => shape.id));
+    const diff = { added: [], removed: from.filter(shape => !toIds.has(shape.id)), changed: [] };
+
+    to.forEach(shape => {
+        const before = fromById.get(shape.id);
+        if (!before) {
+            diff.added.push(shape);
+            return;
+        }
+
+        const beforeProperties = comparableProperties(before);
+        const afterProperties = comparableProperties(shape);
+        const geometryChanged = JSON.stringify(before.geometry) !== JSON.stringify(shape.geometry) ||
+            beforeProperties.radius !== afterProperties.radius;
+        const propertyChanges = DIFF_PROPERTIES
+            .filter(key => beforeProperties[key] !== afterProperties[key])
+            .map(key => ({ key, before: beforeProperties[key], after: afterProperties[key] }));
+        const otherKeys = new Set([...Object.keys(beforeProperties), ...Object.keys(afterProperties)]);
+        const otherPropertiesChanged = [...otherKeys].some(key => !DIFF_PROPERTIES.includes(key) && key !== 'radius' &&
+            JSON.stringify(beforeProperties[key]) !== JSON.stringify(afterProperties[key]));
+
+        if (geometryChanged || propertyChanges.length > 0 || otherPropertiesChanged) {
+            diff.changed.push({ before, after: shape, geometryChanged, propertyChanges, otherPropertiesChanged });
+        }
+    });
+    return diff;
+};
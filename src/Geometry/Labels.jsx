@@ -0,0 +1,128 @@
+// Labels.jsx
+// Where a shape's name goes, in [x, y] map units. Polygons use their pole of inaccessibility: the
+// inside point farthest from any edge, which stays inside concave shapes and away from holes,
+// unlike the centroid. Lines are labelled along their longest part.
+import MinHeap from "./MinHeap.jsx";
+
+const SQRT2 = Math.SQRT2;
+const MAX_CELLS = 5000;
+
+const segmentDistanceSq = (x, y, [ax, ay], [bx, by]) => {
+    let dx = bx - ax;
+    let dy = by - ay;
+    let px = ax;
+    let py = ay;
+    if (dx !== 0 || dy !== 0) {
+        const t = Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / (dx * dx + dy * dy)));
+        px = ax + dx * t;
+        py = ay + dy * t;
+    }
+    dx = x - px;
+    dy = y - py;
+    return dx * dx + dy * dy;
+};
+
+// Distance to the nearest edge, positive inside the polygon and negative outside (holes are outside)
+const signedDistance = (x, y, rings) => {
+    let inside = false;
+    let minSq = Infinity;
+    rings.forEach(ring => {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const a = ring[i];
+            const b = ring[j];
+            if ((a[1] > y) !== (b[1] > y) && x < (b[0] - a[0]) * (y - a[1]) / (b[1] - a[1]) + a[0]) inside = !inside;
+            minSq = Math.min(minSq, segmentDistanceSq(x, y, a, b));
+        }
+    });
+    return (inside ? 1 : -1) * Math.sqrt(minSq);
+};
+
+const ringArea = (ring) => {
+    let sum = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        sum += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+    }
+    return Math.abs(sum) / 2;
+};
+
+const makeCell = (x, y, h, rings) => {
+    const d = signedDistance(x, y, rings);
+    return { x, y, h, d, max: d + h * SQRT2 };
+};
+
+/**
+ * The pole of inaccessibility of a polygon, found by subdividing its bounding box and discarding
+ * cells that cannot beat the best point so far.
+ * @param {Array<Array<number[]>>} rings outer ring first, then holes
+ * @returns {{ point: number[], distance: number }} the point and its distance to the nearest edge
+ */
+export function poleOfInaccessibility(rings) {
+    const outer = rings[0];
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    outer.forEach(([x, y]) => {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    });
+    const width = maxX - minX;
+    const height = maxY - minY;
+    if (width === 0 || height === 0) return { point: outer[0], distance: 0 };
+
+    // One cell over the whole outline to start with, so thin shapes don't start with thousands of cells
+    const precision = Math.max(width, height) / 100;
+    const cellSize = Math.max(width, height);
+    // Most promising cell first: the heap pops the lowest priority
+    const queue = new MinHeap();
+    const enqueue = (cell) => queue.push([-cell.max, cell]);
+    enqueue(makeCell(minX + width / 2, minY + height / 2, cellSize / 2, rings));
+
+    let best = makeCell(minX + width / 2, minY + height / 2, 0, rings);
+    let visited = 0;
+    while (queue.size > 0 && visited++ < MAX_CELLS) {
+        const [, cell] = queue.pop();
+        if (cell.d > best.d) best = cell;
+        if (cell.max - best.d <= precision) continue;
+
+        const h = cell.h / 2;
+        enqueue(makeCell(cell.x - h, cell.y - h, h, rings));
+        enqueue(makeCell(cell.x + h, cell.y - h, h, rings));
+        enqueue(makeCell(cell.x - h, cell.y + h, h, rings));
+        enqueue(makeCell(cell.x + h, cell.y + h, h, rings));
+    }
+    return { point: [best.x, best.y], distance: Math.max(best.d, 0) };
+}
+
+const lineLength = (line) => line.reduce((sum, point, i) => i === 0 ? 0 : sum + Math.hypot(point[0] - line[i - 1][0], point[1] - line[i - 1][1]), 0);
+
+/**
+ * Where to put a shape's label.
+ * @param {object} shape GeoJSON feature
+ * @returns {{ kind: 'area', point: number[], room: number }|{ kind: 'line', line: Array<number[]> }|{ kind: 'point', point: number[] }|null}
+ *   room is how far the label can spread from the point before reaching an edge, in map units
+ */
+export function getLabelAnchor(shape) {
+    const { geometry, properties } = shape;
+    switch (geometry.type) {
+        case 'Polygon':
+        case 'MultiPolygon': {
+            // The largest part of a multi-polygon carries the name
+            const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+            const largest = polygons.reduce((best, polygon) => ringArea(polygon[0]) > ringArea(best[0]) ? polygon : best);
+            const { point, distance } = poleOfInaccessibility(largest);
+            return { kind: 'area', point, room: distance };
+        }
+        case 'LineString':
+        case 'MultiLineString': {
+            const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+            return { kind: 'line', line: lines.reduce((best, line) => lineLength(line) > lineLength(best) ? line : best) };
+        }
+        case 'Point':
+            if (properties.type === 'circle' && properties.radius > 0) {
+                return { kind: 'area', point: geometry.coordinates, room: properties.radius };
+            }
+            return { kind: 'point', point: geometry.coordinates };
+        default:
+            return null;
+    }
+}
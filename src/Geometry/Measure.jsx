@@ -0,0 +1,179 @@
+// Measure.jsx
+// Geometry is stored in CRS.Simple map units; everything here converts through the map's scale,
+// expressed as how many map units make up one kilometre.
+
+const UNIT_STORAGE_KEY = 'maprp.distanceUnit';
+
+export const DEFAULT_UNITS_PER_KM = 1000;
+
+export const DISTANCE_UNITS = {
+    km: { label: 'Kilometres', symbol: 'km', perKm: 1 },
+    mi: { label: 'Miles', symbol: 'mi', perKm: 1 / 1.609344 },
+    leagues: { label: 'Leagues', symbol: 'lea', perKm: 1 / 4.828032 } // 3 statute miles
+};
+
+export const DEFAULT_TRAVEL_SPEEDS = [
+    { id: 'foot', name: 'On foot', kmPerHour: 5 },
+    { id: 'horse', name: 'Horse', kmPerHour: 10 },
+    { id: 'train', name: 'Train', kmPerHour: 60 }
+];
+
+// Speeds along each polyline customType for route planning, plus getting to and from the network
+export const DEFAULT_ROUTE_SPEEDS = {
+    motorway: 60,
+    railway: 80,
+    default: 5,
+    path: 4,
+    river: 8,
+    offroad: 3
+};
+
+const normalizeRouteSpeeds = (speeds) => Object.fromEntries(Object.entries(DEFAULT_ROUTE_SPEEDS).map(([type, fallback]) => {
+    const value = Number(speeds?.[type]);
+    return [type, value > 0 ? value : fallback];
+}));
+
+const normalizeTravelSpeeds = (speeds) => {
+    if (!Array.isArray(speeds)) return DEFAULT_TRAVEL_SPEEDS;
+    return speeds
+        .filter(speed => speed && speed.id != null && Number(speed.kmPerHour) > 0)
+        .map(speed => ({ id: String(speed.id), name: speed.name || String(speed.id), kmPerHour: Number(speed.kmPerHour) }));
+};
+
+export function createSpeedId(speeds) {
+    let index = speeds.length + 1;
+    while (speeds.some(speed => speed.id === `speed-${index}`)) index++;
+    return `speed-${index}`;
+}
+
+/**
+ * Fills in defaults for the synced map settings so older servers (and old payloads) keep working.
+ * @param {object} [settings]
+ * @returns {{ unitsPerKm: number, travelSpeeds: Array<{ id: string, name: string, kmPerHour: number }>, routeSpeeds: Object<string, number> }}
+ */
+export function normalizeSettings(settings) {
+    const unitsPerKm = Number(settings?.unitsPerKm);
+    return {
+        ...settings,
+        unitsPerKm: Number.isFinite(unitsPerKm) && unitsPerKm > 0 ? unitsPerKm : DEFAULT_UNITS_PER_KM,
+        travelSpeeds: normalizeTravelSpeeds(settings?.travelSpeeds),
+        routeSpeeds: normalizeRouteSpeeds(settings?.routeSpeeds)
+    };
+}
+
+export function getPreferredUnit() {
+    try {
+        const stored = localStorage.getItem(UNIT_STORAGE_KEY);
+        return DISTANCE_UNITS[stored] ? stored : 'km';
+    } catch (error) {
+        console.error('Failed to read the distance unit, using km:', error);
+        return 'km';
+    }
+}
+
+export function savePreferredUnit(unit) {
+    try {
+        localStorage.setItem(UNIT_STORAGE_KEY, unit);
+    } catch (error) {
+        console.error('Failed to persist distance unit:', error);
+    }
+}
+
+export const distance = ([x1, y1], [x2, y2]) => Math.hypot(x2 - x1, y2 - y1);
+
+export function lineLength(coords) {
+    let length = 0;
+    for (let i = 1; i < coords.length; i++) {
+        length += distance(coords[i - 1], coords[i]);
+    }
+    return length;
+}
+
+const isClosed = (ring) => ring.length > 1 && ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1];
+
+// Rings from the wire are closed, rings straight from Leaflet are not; only add the closing edge when it's missing
+const ringPerimeter = (ring) => lineLength(ring) + (ring.length > 2 && !isClosed(ring) ? distance(ring[ring.length - 1], ring[0]) : 0);
+
+// Unsigned shoelace area; the closing edge of a closed ring contributes zero so either form works
+const ringArea = (ring) => {
+    let sum = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const [x1, y1] = ring[i];
+        const [x2, y2] = ring[(i + 1) % ring.length];
+        sum += x1 * y2 - x2 * y1;
+    }
+    return Math.abs(sum) / 2;
+};
+
+const polygonArea = ([outer, ...holes]) => outer ? Math.max(0, ringArea(outer) - holes.reduce((sum, hole) => sum + ringArea(hole), 0)) : 0;
+const polygonPerimeter = (rings) => rings.reduce((sum, ring) => sum + ringPerimeter(ring), 0);
+
+/**
+ * Size of a shape in kilometres / square kilometres.
+ * Polygons count their holes out of the area and into the perimeter; circles are a Point
+ * (or the older 'Circle' geometry) with a radius in map units in properties.radius.
+ * @param {object} shape GeoJSON feature
+ * @param {number} unitsPerKm map scale
+ */
+export function getShapeStats(shape, unitsPerKm = DEFAULT_UNITS_PER_KM) {
+    if (!shape) return null;
+    const { geometry, properties } = shape;
+    const stats = { type: properties.type, color: properties.color };
+    const toKm = (mapUnits) => mapUnits / unitsPerKm;
+    const toSqKm = (mapUnits) => mapUnits / (unitsPerKm * unitsPerKm);
+
+    switch (geometry.type) {
+        case 'Polygon':
+            stats.area = toSqKm(polygonArea(geometry.coordinates));
+            stats.perimeter = toKm(polygonPerimeter(geometry.coordinates));
+            break;
+        case 'MultiPolygon':
+            stats.area = toSqKm(geometry.coordinates.reduce((sum, polygon) => sum + polygonArea(polygon), 0));
+            stats.perimeter = toKm(geometry.coordinates.reduce((sum, polygon) => sum + polygonPerimeter(polygon), 0));
+            break;
+        case 'LineString':
+            stats.length = toKm(lineLength(geometry.coordinates));
+            break;
+        case 'MultiLineString':
+            stats.length = toKm(geometry.coordinates.reduce((sum, line) => sum + lineLength(line), 0));
+            break;
+        case 'Point':
+        case 'Circle': {
+            const radius = Number(properties.radius);
+            if (radius > 0) {
+                stats.radius = toKm(radius);
+                stats.area = Math.PI * stats.radius * stats.radius;
+                stats.perimeter = 2 * Math.PI * stats.radius;
+            }
+            stats.position = geometry.coordinates;
+            break;
+        }
+        default:
+            break;
+    }
+
+    return stats;
+}
+
+/** Formats a distance given in kilometres, e.g. "12.30 mi". */
+export function formatDistance(km, unit = 'km') {
+    const { perKm, symbol } = DISTANCE_UNITS[unit] || DISTANCE_UNITS.km;
+    return `${(km * perKm).toFixed(2)} ${symbol}`;
+}
+
+/** Formats an area given in square kilometres, e.g. "4.10 mi²". */
+export function formatArea(sqKm, unit = 'km') {
+    const { perKm, symbol } = DISTANCE_UNITS[unit] || DISTANCE_UNITS.km;
+    return `${(sqKm * perKm * perKm).toFixed(2)} ${symbol}²`;
+}
+
+/** Formats a travel time given in hours, e.g. "2 d 3 h" or "45 min". */
+export function formatDuration(hours) {
+    const totalMinutes = Math.round(hours * 60);
+    if (totalMinutes < 60) return `${totalMinutes} min`;
+    const days = Math.floor(totalMinutes / (24 * 60));
+    const remainingHours = Math.floor(totalMinutes / 60) % 24;
+    const minutes = totalMinutes % 60;
+    if (days > 0) return remainingHours > 0 ? `${days} d ${remainingHours} h` : `${days} d`;
+    return minutes > 0 ? `${remainingHours} h ${minutes} min` : `${remainingHours} h`;
+}
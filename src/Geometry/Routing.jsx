@@ -0,0 +1,169 @@
+// Routing.jsx
+// Route planning over the typed polylines (roads, railways, paths, rivers). Coordinates are
+// [x, y] map units like the GeoJSON geometry; lengths and times come out in km and hours.
+import { distance } from "./Measure.jsx";
+import MinHeap from "./MinHeap.jsx";
+
+export const OFF_ROAD = 'offroad';
+
+export const ROUTE_TYPE_LABELS = {
+    motorway: 'Motorway',
+    railway: 'Railway',
+    default: 'Road',
+    path: 'Path',
+    river: 'River',
+    [OFF_ROAD]: 'Off-road'
+};
+
+// Vertices closer than this are treated as the same junction, so hand-drawn lines that almost meet still connect
+export const DEFAULT_SNAP_KM = 0.5;
+
+const lineStringsOf = (geometry) => {
+    if (geometry?.type === 'LineString') return [geometry.coordinates];
+    if (geometry?.type === 'MultiLineString') return geometry.coordinates;
+    return [];
+};
+
+/**
+ * Builds the travel network from every polyline shape. Each vertex becomes a node, merged with any
+ * node within snapDistance map units; consecutive vertices become edges in both directions.
+ * @param {Array<object>} shapes
+ * @param {number} snapDistance in map units
+ * @returns {{ nodes: Array<number[]>, edges: Array<Array<{ to: number, length: number, type: string, shapeId: * }>> }}
+ */
+export function buildRouteNetwork(shapes, snapDistance) {
+    const nodes = [];
+    const edges = [];
+    const cellSize = snapDistance > 0 ? snapDistance : 1;
+    const grid = new Map(); // "cx:cy" -> node indices in that cell
+
+    const nodeAt = (point) => {
+        const cx = Math.floor(point[0] / cellSize);
+        const cy = Math.floor(point[1] / cellSize);
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const nearby = grid.get(`${cx + dx}:${cy + dy}`) || [];
+                const match = nearby.find(index => distance(nodes[index], point) <= snapDistance);
+                if (match !== undefined) return match;
+            }
+        }
+        const index = nodes.length;
+        nodes.push(point);
+        edges.push([]);
+        const key = `${cx}:${cy}`;
+        grid.set(key, [...(grid.get(key) || []), index]);
+        return index;
+    };
+
+    shapes.forEach(shape => {
+        if (shape.properties?.type !== 'polyline') return;
+        const type = shape.properties.customType || 'default';
+        lineStringsOf(shape.geometry).forEach(line => {
+            let previous = null;
+            line.forEach(point => {
+                const current = nodeAt(point);
+                if (previous !== null && previous !== current) {
+                    const length = distance(nodes[previous], nodes[current]);
+                    edges[previous].push({ to: current, length, type, shapeId: shape.id });
+                    edges[current].push({ to: previous, length, type, shapeId: shape.id });
+                }
+                previous = current;
+            });
+        });
+    });
+
+    return { nodes, edges };
+}
+
+const nearestNode = (nodes, point) => {
+    let best = -1;
+    let bestDistance = Infinity;
+    nodes.forEach((node, index) => {
+        const d = distance(node, point);
+        if (d < bestDistance) {
+            best = index;
+            bestDistance = d;
+        }
+    });
+    return best;
+};
+
+/**
+ * Finds the shortest ('distance') or fastest ('time') way between two points over the network.
+ * The points walk off-road to the nearest junction and from the one nearest the end; when the two
+ * aren't connected the route is a single off-road leg.
+ * Legs merge consecutive edges of the same polyline.
+ * @param {{ nodes, edges }} network from buildRouteNetwork
+ * @param {number[]} from [x, y]
+ * @param {number[]} to [x, y]
+ * @param {{ optimize: 'distance'|'time', speeds: Object<string, number>, unitsPerKm: number }} options
+ * @returns {{ length: number, hours: number, legs: Array<{ type: string, shapeId: *, coordinates: Array<number[]>, length: number, hours: number }> }}
+ */
+export function findRoute(network, from, to, { optimize, speeds, unitsPerKm }) {
+    const speedOf = (type) => speeds[type] || speeds.default;
+    const cost = (edge) => optimize === 'time' ? edge.length / speedOf(edge.type) : edge.length;
+
+    const { nodes, edges } = network;
+    const start = nearestNode(nodes, from);
+    const end = nearestNode(nodes, to);
+
+    let nodePath = null;
+    if (start !== -1 && end !== -1) {
+        const best = new Array(nodes.length).fill(Infinity);
+        const via = new Array(nodes.length).fill(null); // incoming { from, edge }
+        const heap = new MinHeap();
+        best[start] = 0;
+        heap.push([0, start]);
+        while (heap.size > 0) {
+            const [current, node] = heap.pop();
+            if (node === end) break;
+            if (current > best[node]) continue;
+            edges[node].forEach(edge => {
+                const next = current + cost(edge);
+                if (next < best[edge.to]) {
+                    best[edge.to] = next;
+                    via[edge.to] = { from: node, edge };
+                    heap.push([next, edge.to]);
+                }
+            });
+        }
+
+        if (best[end] < Infinity) {
+            nodePath = [];
+            for (let node = end; node !== start; node = via[node].from) {
+                nodePath.unshift(via[node]);
+            }
+        }
+    }
+
+    const legs = [];
+    const addLeg = (type, shapeId, a, b) => {
+        const length = distance(a, b);
+        if (length === 0) return;
+        const last = legs[legs.length - 1];
+        if (last && last.shapeId === shapeId && last.type === type) {
+            last.coordinates.push(b);
+            last.mapLength += length;
+        } else {
+            legs.push({ type, shapeId, coordinates: [a, b], mapLength: length });
+        }
+    };
+
+    if (nodePath) {
+        addLeg(OFF_ROAD, null, from, nodes[start]);
+        nodePath.forEach(({ from: node, edge }) => addLeg(edge.type, edge.shapeId, nodes[node], nodes[edge.to]));
+        addLeg(OFF_ROAD, null, nodes[end], to);
+    } else {
+        addLeg(OFF_ROAD, null, from, to);
+    }
+
+    const result = legs.map(({ mapLength, ...leg }) => {
+        const length = mapLength / unitsPerKm;
+        return { ...leg, length, hours: length / speedOf(leg.type) };
+    });
+    return {
+        legs: result,
+        length: result.reduce((sum, leg) => sum + leg.length, 0),
+        hours: result.reduce((sum, leg) => sum + leg.hours, 0)
+    };
+}
@@ -0,0 +1,136 @@
+// HistoryService.jsx
+import WebSocketService from "../Messaging/WebSocketService.jsx";
+import { stampVersion } from "../Messaging/Versioning.jsx";
+
+// Consecutive entries sharing a coalesce key (e.g. typing into the name field)
+// are folded into a single undo step if they arrive within this window.
+const COALESCE_WINDOW_MS = 1500;
+const MAX_ENTRIES = 200;
+
+/**
+ * A change describes one shape before and after an edit.
+ * `before === null` means the shape was created, `after === null` that it was removed.
+ * @typedef {{ id: (string|number), before: (object|null), after: (object|null) }} ShapeChange
+ */
+
+class HistoryService {
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.listeners = new Set();
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Records a group of changes as a single undoable step.
+     * @param {ShapeChange[]} changes
+     * @param {string} [coalesceKey] entries with the same key close together in time are merged
+     */
+    record(changes, coalesceKey) {
+        if (!changes || changes.length === 0) return;
+
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+
+        if (coalesceKey && last && last.coalesceKey === coalesceKey && now - last.timestamp < COALESCE_WINDOW_MS) {
+            // Keep the original "before" states and only move the "after" states forward
+            const mergedChanges = last.changes.map(change => {
+                const newer = changes.find(c => c.id === change.id);
+                return newer ? { ...change, after: newer.after } : change;
+            });
+            this.undoStack[this.undoStack.length - 1] = { ...last, changes: mergedChanges, timestamp: now };
+        } else {
+            this.undoStack.push({ changes, coalesceKey, timestamp: now });
+            if (this.undoStack.length > MAX_ENTRIES) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * Pops the latest step and returns the changes that revert it, or null if there is nothing to undo.
+     * @returns {ShapeChange[]|null}
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        this.redoStack.push(entry);
+        this.notify();
+        return [...entry.changes].reverse().map(({ id, before, after }) => ({ id, before: after, after: before }));
+    }
+
+    /**
+     * Re-applies the latest undone step, or returns null if there is nothing to redo.
+     * @returns {ShapeChange[]|null}
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        this.undoStack.push({ ...entry, coalesceKey: null });
+        this.notify();
+        return entry.changes;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+}
+
+/**
+ * Applies changes to the local shapes state and broadcasts the matching add/modify/remove
+ * messages so other clients see the same result. Restored states get a fresh version on top
+ * of whatever is currently on the map, so they are never mistaken for stale revisions.
+ * @param {ShapeChange[]} changes
+ * @param {Array} shapes the current shapes state
+ * @param {Function} setShapes
+ */
+export function applyShapeChanges(changes, shapes, setShapes) {
+    const stampedChanges = changes.map(({ id, before, after }) => {
+        const current = shapes.find(shape => shape.id === id);
+        return { id, before, after: after ? stampVersion(after, current) : null };
+    });
+
+    const messages = stampedChanges.map(({ id, before, after }) => {
+        if (!after) return { type: 'remove', id };
+        if (!before) return { type: 'add', data: after };
+        return { type: 'modify', data: after, id };
+    });
+    // A multi-shape step (e.g. a shared border) is undone as a whole on every client
+    if (messages.length > 1) {
+        WebSocketService.sendMessage('batch', messages);
+    } else if (messages.length === 1) {
+        WebSocketService.sendMessage(messages[0].type, messages[0].data, messages[0].id);
+    }
+
+    setShapes(prev => stampedChanges.reduce((current, { id, after }) => {
+        const exists = current.some(shape => shape.id === id);
+        if (!after) {
+            return current.filter(shape => shape.id !== id);
+        }
+        return exists ? current.map(shape => shape.id === id ? after : shape) : [...current, after];
+    }, prev));
+}
+
+// Export a singleton instance of the service
+export default new HistoryService();
@@ -0,0 +1,111 @@
+// SnapshotService.jsx
+import { compareShapeSets } from "../Geometry/GeoJsonUtils.jsx";
+import { stampVersion } from "../Messaging/Versioning.jsx";
+
+const STORAGE_KEY = 'maprp.snapshots';
+
+/**
+ * A named copy of the whole map, kept in this browser.
+ * @typedef {{ id: string, mapId: (string|null), name: string, createdAt: number, shapes: Array<object> }} Snapshot
+ */
+
+class SnapshotService {
+    constructor() {
+        this.snapshots = this.load();
+        this.listeners = new Set();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.error('Failed to read saved snapshots, starting empty:', error);
+            return [];
+        }
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.snapshots));
+            return true;
+        } catch (error) {
+            // Usually the storage quota: a large map doesn't fit many times over
+            console.error('Failed to persist snapshots:', error);
+            return false;
+        }
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    /**
+     * @param {string|null} mapId
+     * @returns {Snapshot[]} the map's snapshots, newest first
+     */
+    list(mapId) {
+        return this.snapshots.filter(snapshot => (snapshot.mapId ?? null) === mapId);
+    }
+
+    /**
+     * Saves a copy of the shapes under a name.
+     * @returns {Snapshot|null} the snapshot, or null when it could not be stored
+     */
+    save(name, shapes, mapId) {
+        const snapshot = {
+            id: `${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+            mapId,
+            name,
+            createdAt: Date.now(),
+            shapes: JSON.parse(JSON.stringify(shapes))
+        };
+        this.snapshots = [snapshot, ...this.snapshots];
+        if (!this.persist()) {
+            this.snapshots = this.snapshots.slice(1);
+            return null;
+        }
+        this.notify();
+        return snapshot;
+    }
+
+    remove(id) {
+        this.snapshots = this.snapshots.filter(snapshot => snapshot.id !== id);
+        this.persist();
+        this.notify();
+    }
+}
+
+/**
+ * Works out what restoring a snapshot does to the current map: shapes missing from the snapshot
+ * are removed and every shape that differs goes back to its saved state, with a version above
+ * the current one so other clients take it as the newest revision.
+ * @param {Snapshot} snapshot
+ * @param {Array} currentShapes
+ * @returns {{ shapes: Array, changes: Array<{ id, before, after }> }} the restored shape list and the history changes
+ */
+export function restoreSnapshot(snapshot, currentShapes) {
+    const diff = compareShapeSets(currentShapes, snapshot.shapes);
+    const currentById = new Map(currentShapes.map(shape => [shape.id, shape]));
+    const restoredById = new Map();
+    const changes = [];
+
+    diff.removed.forEach(shape => changes.push({ id: shape.id, before: shape, after: null }));
+    [...diff.added, ...diff.changed.map(({ after }) => after)].forEach(shape => {
+        const before = currentById.get(shape.id) || null;
+        const after = stampVersion(shape, before);
+        restoredById.set(shape.id, after);
+        changes.push({ id: shape.id, before, after });
+    });
+
+    const shapes = snapshot.shapes.map(shape => restoredById.get(shape.id) || currentById.get(shape.id));
+    return { shapes, changes };
+}
+
+// Export a singleton instance of the service
+export default new SnapshotService();
@@ -0,0 +1,29 @@
+// Timeline.jsx
+// In-game dates are 'YYYY-MM-DD' strings, so they order correctly as plain strings.
+
+/**
+ * Whether a shape exists on the given in-game date. `validFrom` is the first day it exists and
+ * `validTo` the first day it no longer does, so one border can end the day the next one starts.
+ * Shapes without dates exist at every date.
+ * @param {object} shape
+ * @param {string} date 'YYYY-MM-DD'
+ */
+export function isShapeValidAt(shape, date) {
+    const { validFrom, validTo } = shape.properties || {};
+    return (!validFrom || validFrom <= date) && (!validTo || date < validTo);
+}
+
+/**
+ * Every date on which something appears or disappears, oldest first; the timeline slider steps
+ * through these since the map only changes on them.
+ * @param {Array<object>} shapes
+ * @returns {string[]}
+ */
+export function getTimelineDates(shapes) {
+    const dates = new Set();
+    shapes.forEach(shape => {
+        if (shape.properties?.validFrom) dates.add(shape.properties.validFrom);
+        if (shape.properties?.validTo) dates.add(shape.properties.validTo);
+    });
+    return [...dates].sort();
+}
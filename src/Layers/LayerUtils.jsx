@@ -0,0 +1,70 @@
+// LayerUtils.jsx
+
+export const DEFAULT_LAYER_ID = 'default';
+
+const DEFAULT_LAYER = { id: DEFAULT_LAYER_ID, name: 'Default', order: 0, locked: false };
+
+/**
+ * Layer definitions as synced over the `layers` message: `{ id, name, order, locked, minZoom?, maxZoom? }`.
+ * Visibility is a per-user view setting and is deliberately not part of the definition.
+ * Returns a copy sorted back-to-front that always contains the default layer.
+ * @param {Array} layers
+ * @returns {Array}
+ */
+export function normalizeLayers(layers) {
+    const list = Array.isArray(layers) ? layers.filter(layer => layer && layer.id != null) : [];
+    if (!list.some(layer => layer.id === DEFAULT_LAYER_ID)) {
+        list.push(DEFAULT_LAYER);
+    }
+    return [...list].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+}
+
+/**
+ * The layer a shape belongs to. Shapes without a layer, or whose layer was deleted,
+ * fall back to the default layer so nothing ever becomes unreachable.
+ */
+export function getShapeLayerId(shape, layers) {
+    const layerId = shape?.properties?.layerId;
+    return layerId != null && layers.some(layer => layer.id === layerId) ? layerId : DEFAULT_LAYER_ID;
+}
+
+export function findLayer(layers, layerId) {
+    return layers.find(layer => layer.id === layerId) || layers.find(layer => layer.id === DEFAULT_LAYER_ID);
+}
+
+const zoomBound = (value) => value == null || value === '' || Number.isNaN(Number(value)) ? null : Number(value);
+
+/**
+ * Whether a shape is drawn at a zoom level. The shape's own minZoom/maxZoom properties win over
+ * its layer's, and a missing bound means no limit on that side.
+ */
+export function isShapeVisibleAtZoom(shape, layers, zoom) {
+    const layer = findLayer(layers, getShapeLayerId(shape, layers));
+    const minZoom = zoomBound(shape.properties?.minZoom) ?? zoomBound(layer?.minZoom);
+    const maxZoom = zoomBound(shape.properties?.maxZoom) ?? zoomBound(layer?.maxZoom);
+    return (minZoom == null || zoom >= minZoom) && (maxZoom == null || zoom <= maxZoom);
+}
+
+export function createLayer(name, layers) {
+    const maxOrder = layers.reduce((max, layer) => Math.max(max, layer.order ?? 0), 0);
+    return {
+        id: `layer-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        name,
+        order: maxOrder + 1,
+        locked: false
+    };
+}
+
+/**
+ * Moves a layer one step towards the front (direction 1) or the back (direction -1)
+ * and renumbers the orders so they stay contiguous.
+ */
+export function moveLayer(layers, layerId, direction) {
+    const sorted = normalizeLayers(layers);
+    const index = sorted.findIndex(layer => layer.id === layerId);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= sorted.length) return sorted;
+
+    [sorted[index], sorted[target]] = [sorted[target], sorted[index]];
+    return sorted.map((layer, i) => ({ ...layer, order: i }));
+}
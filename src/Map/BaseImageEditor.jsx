@@ -0,0 +1,161 @@
+import React, { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { showToast } from "../Utils/Toasts.jsx";
+
+const OUTLINE_STYLE = { color: '#1a73e8', weight: 2, dashArray: '6 6', fill: false, interactive: false };
+
+const handleIcon = (className) => L.divIcon({ className: `base-image-handle ${className}`, iconSize: [14, 14] });
+
+// Corners by their [lat, lng] index into the bounds: which of south/north and west/east they move
+const CORNERS = [[0, 0], [0, 1], [1, 0], [1, 1]];
+
+const cornerLatLng = (bounds, [latIndex, lngIndex]) => L.latLng(bounds[latIndex][0], bounds[lngIndex][1]);
+
+const centerLatLng = (bounds) => L.latLng((bounds[0][0] + bounds[1][0]) / 2, (bounds[0][1] + bounds[1][1]) / 2);
+
+/**
+ * Resizes an image by dragging any corner (the opposite one stays put) and moves it by dragging
+ * the middle handle. Bounds are reported on every drag step so the image follows the handle.
+ */
+function CornerHandles({ image, onBoundsChange }) {
+    const map = useMap();
+    const layersRef = useRef(null); // { outline, corners, center, dragging }
+    const boundsRef = useRef(image.bounds);
+
+    useEffect(() => {
+        boundsRef.current = image.bounds;
+    }, [image.bounds]);
+
+    useEffect(() => {
+        const group = L.layerGroup().addTo(map);
+        const outline = L.rectangle(boundsRef.current, OUTLINE_STYLE).addTo(group);
+        const state = { outline, corners: [], center: null, dragging: null };
+
+        CORNERS.forEach(corner => {
+            const handle = L.marker(cornerLatLng(boundsRef.current, corner), { icon: handleIcon('base-image-handle--corner'), draggable: true, zIndexOffset: 3000 });
+            let opposite = null;
+            handle.on('dragstart', () => {
+                state.dragging = handle;
+                opposite = cornerLatLng(boundsRef.current, [1 - corner[0], 1 - corner[1]]);
+            });
+            handle.on('dragend', () => { state.dragging = null; });
+            handle.on('drag', (e) => {
+                const { lat, lng } = e.target.getLatLng();
+                onBoundsChange([
+                    [Math.min(lat, opposite.lat), Math.min(lng, opposite.lng)],
+                    [Math.max(lat, opposite.lat), Math.max(lng, opposite.lng)]
+                ]);
+            });
+            state.corners.push(handle.addTo(group));
+        });
+
+        let dragStart = null;
+        state.center = L.marker(centerLatLng(boundsRef.current), { icon: handleIcon('base-image-handle--move'), draggable: true, zIndexOffset: 3000 })
+            .on('dragstart', (e) => {
+                state.dragging = e.target;
+                dragStart = { latlng: e.target.getLatLng(), bounds: boundsRef.current };
+            })
+            .on('dragend', () => { state.dragging = null; })
+            .on('drag', (e) => {
+                const { lat, lng } = e.target.getLatLng();
+                const dLat = lat - dragStart.latlng.lat;
+                const dLng = lng - dragStart.latlng.lng;
+                onBoundsChange(dragStart.bounds.map(([south, west]) => [south + dLat, west + dLng]));
+            })
+            .addTo(group);
+
+        layersRef.current = state;
+        return () => {
+            group.remove();
+            layersRef.current = null;
+        };
+    }, [map, image.id, onBoundsChange]);
+
+    useEffect(() => {
+        // Follow the bounds, except for the handle under the mouse which Leaflet is moving already
+        const state = layersRef.current;
+        if (!state) return;
+        state.outline.setBounds(image.bounds);
+        state.corners.forEach((handle, i) => handle !== state.dragging && handle.setLatLng(cornerLatLng(image.bounds, CORNERS[i])));
+        if (state.center !== state.dragging) state.center.setLatLng(centerLatLng(image.bounds));
+    }, [image.bounds]);
+
+    return null;
+}
+
+/**
+ * Collects control points: a click on a spot of the image, then a click where that spot belongs
+ * on the map, as many times as wanted. Spots are kept relative to the image so they follow it.
+ */
+function ControlPointPicker({ image, controlPoints, onControlPointsChange }) {
+    const map = useMap();
+    const stateRef = useRef({ image, controlPoints });
+
+    useEffect(() => {
+        stateRef.current = { image, controlPoints };
+    }, [image, controlPoints]);
+
+    useEffect(() => {
+        const container = map.getContainer();
+        container.style.cursor = 'crosshair';
+        map.doubleClickZoom.disable();
+
+        const onClick = (e) => {
+            const { image: current, controlPoints: pairs } = stateRef.current;
+            const last = pairs[pairs.length - 1];
+            if (last && !last.map) {
+                onControlPointsChange([...pairs.slice(0, -1), { ...last, map: [e.latlng.lat, e.latlng.lng] }]);
+                return;
+            }
+            const [[south, west], [north, east]] = current.bounds;
+            const u = (e.latlng.lng - west) / (east - west);
+            const v = (e.latlng.lat - south) / (north - south);
+            if (u < 0 || u > 1 || v < 0 || v > 1) {
+                showToast('Click a spot on the image first, then where it belongs on the map', 'error');
+                return;
+            }
+            onControlPointsChange([...pairs, { image: [u, v], map: null }]);
+        };
+
+        map.on('click', onClick);
+        return () => {
+            map.off('click', onClick);
+            map.doubleClickZoom.enable();
+            container.style.cursor = '';
+        };
+    }, [map, onControlPointsChange]);
+
+    useEffect(() => {
+        const [[south, west], [north, east]] = image.bounds;
+        const group = L.layerGroup().addTo(map);
+        L.rectangle(image.bounds, OUTLINE_STYLE).addTo(group);
+        controlPoints.forEach((pair, i) => {
+            const spot = L.latLng(south + pair.image[1] * (north - south), west + pair.image[0] * (east - west));
+            L.circleMarker(spot, { radius: 6, color: '#c0392b', fillOpacity: 0.8, interactive: false })
+                .bindTooltip(`${i + 1}`, { permanent: true, direction: 'top' })
+                .addTo(group);
+            if (pair.map) {
+                L.circleMarker(pair.map, { radius: 6, color: '#27ae60', fillOpacity: 0.8, interactive: false }).addTo(group);
+                L.polyline([spot, pair.map], { color: '#555', weight: 1.5, dashArray: '4 4', interactive: false }).addTo(group);
+            }
+        });
+        return () => group.remove();
+    }, [map, image.bounds, controlPoints]);
+
+    return null;
+}
+
+/**
+ * Georeferencing tools for one base image while the base map panel edits it.
+ * @param {{ image: object, mode: ('corners'|'points'), controlPoints: Array, onBoundsChange: (bounds: Array) => void,
+ *   onControlPointsChange: (pairs: Array) => void }} props controlPoints as fitBoundsToControlPoints takes them,
+ *   the last one without its map point while waiting for the second click
+ */
+function BaseImageEditor({ image, mode, controlPoints, onBoundsChange, onControlPointsChange }) {
+    return mode === 'points'
+        ? <ControlPointPicker image={image} controlPoints={controlPoints} onControlPointsChange={onControlPointsChange} />
+        : <CornerHandles image={image} onBoundsChange={onBoundsChange} />;
+}
+
+export default BaseImageEditor;
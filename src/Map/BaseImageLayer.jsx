@@ -0,0 +1,116 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { hasMatchingTiles, loadTileManifest } from "../Maps/BaseImages.jsx";
+
+const PANE = 'baseImages';
+
+// Inline SVG with the viewBox maps have always been drawn against, see BaseImages.jsx
+const loadLegacySvg = (url) => fetch(url)
+    .then(response => response.text())
+    .then(svgContent => {
+        const svgElement = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+        svgElement.innerHTML = svgContent;
+        svgElement.setAttribute('viewBox', '0 0 1000 1000');
+        return svgElement;
+    });
+
+function BaseImage({ image, zIndex }) {
+    const map = useMap();
+    const overlayRef = useRef(null);
+    // Bounds, opacity and stacking at the time an SVG finishes loading
+    const latestRef = useRef({ image, zIndex });
+    const [tiles, setTiles] = useState(null); // { url, manifest } once the image's tiles were looked for
+
+    useEffect(() => {
+        latestRef.current = { image, zIndex };
+    }, [image, zIndex]);
+
+    useEffect(() => {
+        let cancelled = false;
+        loadTileManifest(image.url)
+            .catch(error => {
+                // Without tiles the image is drawn whole
+                console.error('Failed to look for base image tiles:', error);
+                return null;
+            })
+            .then(manifest => !cancelled && setTiles({ url: image.url, manifest }));
+        return () => { cancelled = true; };
+    }, [image.url]);
+
+    const isLookedUp = tiles?.url === image.url;
+    const manifest = isLookedUp && hasMatchingTiles(image, tiles.manifest) ? tiles.manifest : null;
+
+    useEffect(() => {
+        // Nothing is drawn before knowing whether tiles spare loading the whole image
+        if (!isLookedUp) return;
+        let cancelled = false;
+        const addOverlay = (overlay) => {
+            overlayRef.current = overlay.setOpacity(latestRef.current.image.opacity).addTo(map);
+            overlayRef.current.setZIndex(latestRef.current.zIndex);
+        };
+
+        if (manifest) {
+            addOverlay(L.tileLayer(manifest.urlTemplate, {
+                pane: PANE,
+                tileSize: manifest.tileSize,
+                // Zoomed past the pyramid, its nearest level is scaled
+                minNativeZoom: manifest.minZoom,
+                maxNativeZoom: manifest.maxZoom,
+                minZoom: map.getMinZoom(),
+                maxZoom: map.getMaxZoom(),
+                bounds: manifest.bounds,
+                noWrap: true
+            }));
+        } else if (image.legacyViewBox && /\.svg(\?|$)/i.test(image.url)) {
+            loadLegacySvg(image.url)
+                // The map was switched while the image loaded
+                .then(svgElement => !cancelled && addOverlay(L.svgOverlay(svgElement, latestRef.current.image.bounds, { pane: PANE })))
+                .catch(error => console.error("Failed to load SVG for SVGOverlay:", error));
+        } else {
+            // Drawn as an image, stretched over its bounds; SVG scripts never run this way
+            addOverlay(L.imageOverlay(image.url, latestRef.current.image.bounds, { pane: PANE }));
+        }
+
+        return () => {
+            cancelled = true;
+            if (overlayRef.current) {
+                overlayRef.current.remove();
+                overlayRef.current = null;
+            }
+        };
+    }, [map, image.url, image.legacyViewBox, isLookedUp, manifest]);
+
+    useEffect(() => {
+        // Tiles only ever show at the bounds they were made for
+        if (overlayRef.current instanceof L.ImageOverlay) overlayRef.current.setBounds(L.latLngBounds(image.bounds));
+    }, [image.bounds]);
+
+    useEffect(() => {
+        overlayRef.current?.setOpacity(image.opacity);
+    }, [image.opacity]);
+
+    useEffect(() => {
+        overlayRef.current?.setZIndex(zIndex);
+    }, [zIndex]);
+
+    return null;
+}
+
+/**
+ * The base images of the open map, bottom one first, in a pane of their own under the shapes.
+ * Images cut into tiles by the tiling script are drawn from their tiles.
+ * @param {{ images: Array<object> }} props from normalizeBaseImages
+ */
+function BaseImageLayer({ images }) {
+    const map = useMap();
+    // Created while rendering: the images' effects run before this component's and need the pane
+    if (!map.getPane(PANE)) {
+        // Between tiles (200) and the shapes' overlay pane (400)
+        map.createPane(PANE).style.zIndex = 250;
+    }
+
+    return images.map((image, index) => <BaseImage key={image.id} image={image} zIndex={index + 1} />);
+}
+
+export default BaseImageLayer;
@@ -0,0 +1,55 @@
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet.pattern/dist/leaflet.pattern-src.js';
+import { DIFF_COLORS } from "../Geometry/GeoJsonUtils.jsx";
+
+// Purely informative: not interactive, so clicks go through to the shapes underneath
+const toLayer = (shape, shapeStyle) => {
+    const { geometry, properties } = shape;
+    const style = { ...shapeStyle, interactive: false };
+    if (geometry.type === 'Point') {
+        const latlng = L.latLng(geometry.coordinates[1], geometry.coordinates[0]);
+        return properties.type === 'circle' && properties.radius > 0
+            ? L.circle(latlng, { ...style, radius: properties.radius })
+            : L.circleMarker(latlng, { ...style, radius: 8 });
+    }
+    if (geometry.type === 'Circle') {
+        // The older circle form, center stored as [lat, lng]
+        return L.circle(L.latLng(geometry.coordinates), { ...style, radius: properties.radius });
+    }
+    return L.geoJSON(shape, { style, interactive: false });
+};
+
+/**
+ * Draws the difference between two map states on top of the map: added shapes green, removed ones
+ * red, and shapes whose geometry changed hatched over a dashed outline of where they were.
+ * Property-only changes are left to the side list.
+ * @param {{ diff: object }} props result of compareShapeSets
+ */
+function DiffLayer({ diff }) {
+    const map = useMap();
+
+    useEffect(() => {
+        const group = L.featureGroup();
+        const hatch = new L.StripePattern({ color: DIFF_COLORS.modified, weight: 3, spaceWeight: 5, angle: 45, spaceOpacity: 0 });
+        hatch.addTo(map);
+
+        diff.removed.forEach(shape => toLayer(shape, { color: DIFF_COLORS.removed, fillColor: DIFF_COLORS.removed, fillOpacity: 0.3, weight: 3 }).addTo(group));
+        diff.changed.filter(change => change.geometryChanged).forEach(({ before, after }) => {
+            toLayer(before, { color: '#7f8c8d', weight: 2, dashArray: '6, 6', fill: false }).addTo(group);
+            toLayer(after, { color: DIFF_COLORS.modified, weight: 3, fillPattern: hatch, fillOpacity: 0.8 }).addTo(group);
+        });
+        diff.added.forEach(shape => toLayer(shape, { color: DIFF_COLORS.added, fillColor: DIFF_COLORS.added, fillOpacity: 0.3, weight: 3 }).addTo(group));
+        group.addTo(map);
+
+        return () => {
+            group.remove();
+            hatch.remove();
+        };
+    }, [map, diff]);
+
+    return null;
+}
+
+export default DiffLayer;
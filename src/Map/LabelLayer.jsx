@@ -0,0 +1,222 @@
+import { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { getLabelAnchor } from "../Geometry/Labels.jsx";
+import { isShapeVisibleAtZoom } from "../Layers/LayerUtils.jsx";
+import { MARKER_CLUSTERS_EVENT } from "./MarkerClusters.jsx";
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const FONT_FAMILY = 'Inter, sans-serif';
+const PADDING = 4; // px kept free around every label
+const NO_CLUSTERS = { clusteredIds: new Set(), bubbles: [] };
+
+// Font per kind of label; areas scale between minSize and maxSize with the room they have on screen
+const LABEL_STYLES = {
+    area: { className: 'map-label map-label--area', weight: 'bold', italic: false, letterSpacing: 1.5, uppercase: true, minSize: 10, maxSize: 24 },
+    river: { className: 'map-label map-label--river', weight: 'normal', italic: true, letterSpacing: 1, size: 13 },
+    road: { className: 'map-label map-label--road', weight: '600', italic: false, letterSpacing: 0.5, size: 11 },
+    point: { className: 'map-label map-label--point', weight: '600', italic: false, letterSpacing: 0, size: 12 }
+};
+
+// Anchors only depend on the geometry, shapes are replaced rather than mutated on change
+const anchorCache = new WeakMap();
+const anchorOf = (shape) => {
+    if (!anchorCache.has(shape)) anchorCache.set(shape, getLabelAnchor(shape));
+    return anchorCache.get(shape);
+};
+
+let measureContext = null;
+const textWidth = (text, style, size) => {
+    measureContext = measureContext || document.createElement('canvas').getContext('2d');
+    measureContext.font = `${style.italic ? 'italic ' : ''}${style.weight} ${size}px ${FONT_FAMILY}`;
+    return measureContext.measureText(text).width + style.letterSpacing * text.length;
+};
+
+const overlaps = (box, boxes) => boxes.some(other =>
+    box.minX < other.maxX && box.maxX > other.minX && box.minY < other.maxY && box.maxY > other.minY
+);
+
+const boxAround = (x, y, width, height) => ({
+    minX: x - width / 2 - PADDING,
+    maxX: x + width / 2 + PADDING,
+    minY: y - height / 2 - PADDING,
+    maxY: y + height / 2 + PADDING
+});
+
+const createText = (text, style, size) => {
+    const element = document.createElementNS(SVG_NS, 'text');
+    element.setAttribute('class', style.className);
+    element.setAttribute('font-size', size);
+    element.setAttribute('letter-spacing', style.letterSpacing);
+    element.setAttribute('text-anchor', 'middle');
+    element.textContent = text;
+    return element;
+};
+
+/**
+ * Lays a line's label along its path, centered on it and reading left to right.
+ * @returns {{ d: string, box: object }|null} the SVG path and the label's bounding box, or null when the line is too short on screen
+ */
+const layoutAlongLine = (points, width, size) => {
+    const lengths = [0];
+    for (let i = 1; i < points.length; i++) lengths.push(lengths[i - 1] + points[i].distanceTo(points[i - 1]));
+    const total = lengths[lengths.length - 1];
+    if (total < width * 1.2) return null;
+
+    // Text runs along the middle of the line; flip the path when that part points left so it isn't upside down
+    const middle = total / 2;
+    const segment = Math.max(1, lengths.findIndex(length => length >= middle));
+    const from = points[segment - 1];
+    const to = points[segment];
+    const ordered = to.x < from.x ? [...points].reverse() : points;
+
+    const ratio = (middle - lengths[segment - 1]) / (lengths[segment] - lengths[segment - 1] || 1);
+    const center = from.add(to.subtract(from).multiplyBy(ratio));
+    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+    const boxWidth = Math.abs(Math.cos(angle)) * width + Math.abs(Math.sin(angle)) * size;
+    const boxHeight = Math.abs(Math.sin(angle)) * width + Math.abs(Math.cos(angle)) * size;
+
+    return {
+        d: ordered.map((point, i) => `${i === 0 ? 'M' : 'L'}${point.x.toFixed(1)} ${point.y.toFixed(1)}`).join(' '),
+        box: boxAround(center.x, center.y, boxWidth, boxHeight)
+    };
+};
+
+/**
+ * Permanent name labels: polygon names inside the shape, text following rivers and roads, and
+ * captions under markers. Laid out again after every move or zoom; area labels grow with the
+ * shape on screen, and a label that doesn't fit or would overlap a bigger one is left out.
+ * @param {{ shapes: Array<object>, layers: Array<object> }} props the shapes to label, unnamed ones and
+ *   those outside their zoom range are skipped
+ */
+function LabelLayer({ shapes, layers }) {
+    const map = useMap();
+    // Markers hidden in a cluster bubble get no caption, and labels keep clear of the bubbles
+    const clustersRef = useRef(NO_CLUSTERS);
+    const drawRef = useRef(null);
+
+    useEffect(() => {
+        // Kept across redraws: clustering only reports after it refreshes
+        const onClustersChange = ({ clusteredIds, bubbles }) => {
+            clustersRef.current = { clusteredIds, bubbles };
+            drawRef.current?.();
+        };
+        map.on(MARKER_CLUSTERS_EVENT, onClustersChange);
+        return () => map.off(MARKER_CLUSTERS_EVENT, onClustersChange);
+    }, [map]);
+
+    useEffect(() => {
+        const pane = map.getPane('labels') || map.createPane('labels');
+        pane.style.zIndex = 450; // Above the shapes, under markers and popups
+        pane.style.pointerEvents = 'none';
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        pane.appendChild(svg);
+        // Unique per instance so textPath references stay valid if the layer is mounted twice
+        const idPrefix = `label-path-${L.Util.stamp(svg)}`;
+
+        const draw = () => {
+            const size = map.getSize();
+            const origin = map.containerPointToLayerPoint([0, 0]);
+            L.DomUtil.setPosition(svg, origin);
+            svg.setAttribute('width', size.x);
+            svg.setAttribute('height', size.y);
+            svg.setAttribute('viewBox', `0 0 ${size.x} ${size.y}`);
+            svg.replaceChildren();
+            svg.style.display = '';
+
+            const toPixel = ([x, y]) => map.latLngToContainerPoint(L.latLng(y, x));
+            const unit = toPixel([1, 0]).x - toPixel([0, 0]).x; // pixels per map unit at this zoom
+            const isVisible = (point, margin) => point.x > -margin && point.y > -margin && point.x < size.x + margin && point.y < size.y + margin;
+
+            const zoom = map.getZoom();
+            const { clusteredIds, bubbles } = clustersRef.current;
+            const candidates = [];
+            shapes.forEach(shape => {
+                const name = shape.properties.name?.trim();
+                const anchor = name && isShapeVisibleAtZoom(shape, layers, zoom) && anchorOf(shape);
+                if (!anchor) return;
+
+                if (anchor.kind === 'area') {
+                    const style = LABEL_STYLES.area;
+                    const text = style.uppercase ? name.toUpperCase() : name;
+                    const room = anchor.room * unit;
+                    // Fits in the height of the inner circle and a bit wider, areas are rarely round
+                    const fit = Math.min(room, 3 * room / (textWidth(text, style, 10) / 10));
+                    const fontSize = Math.min(fit, style.maxSize);
+                    const point = toPixel(anchor.point);
+                    if (fontSize >= style.minSize && isVisible(point, room)) {
+                        candidates.push({ priority: room, text, style, fontSize, point });
+                    }
+                } else if (anchor.kind === 'point') {
+                    if (clusteredIds.has(shape.id)) return;
+                    const style = LABEL_STYLES.point;
+                    const point = toPixel(anchor.point);
+                    if (isVisible(point, 100)) candidates.push({ priority: 0, text: name, style, fontSize: style.size, point: point.add([0, style.size + 4]) });
+                } else {
+                    const style = shape.properties.customType === 'river' ? LABEL_STYLES.river : LABEL_STYLES.road;
+                    const points = anchor.line.map(toPixel);
+                    if (L.bounds(points).intersects(L.bounds([0, 0], size))) candidates.push({ priority: -1, text: name, style, fontSize: style.size, points });
+                }
+            });
+
+            // Biggest areas first, then markers, then lines
+            candidates.sort((a, b) => b.priority - a.priority);
+            // Bubbles are already on the map, labels go around them
+            const placed = bubbles.map(({ latlng, size: bubbleSize }) => {
+                const point = map.latLngToContainerPoint(latlng);
+                return boxAround(point.x, point.y, bubbleSize, bubbleSize);
+            });
+            candidates.forEach((candidate, index) => {
+                const { text, style, fontSize } = candidate;
+                const width = textWidth(text, style, fontSize);
+                const element = createText(text, style, fontSize);
+
+                if (candidate.points) {
+                    const layout = layoutAlongLine(candidate.points, width, fontSize);
+                    if (!layout || overlaps(layout.box, placed)) return;
+                    const path = document.createElementNS(SVG_NS, 'path');
+                    path.setAttribute('id', `${idPrefix}-${index}`);
+                    path.setAttribute('d', layout.d);
+                    path.setAttribute('fill', 'none');
+                    const textPath = document.createElementNS(SVG_NS, 'textPath');
+                    textPath.setAttribute('href', `#${idPrefix}-${index}`);
+                    textPath.setAttribute('startOffset', '50%');
+                    textPath.textContent = text;
+                    element.textContent = '';
+                    element.setAttribute('dy', fontSize * 0.35);
+                    element.appendChild(textPath);
+                    svg.append(path, element);
+                    placed.push(layout.box);
+                } else {
+                    const box = boxAround(candidate.point.x, candidate.point.y, width, fontSize);
+                    if (overlaps(box, placed)) return;
+                    element.setAttribute('x', candidate.point.x);
+                    element.setAttribute('y', candidate.point.y);
+                    element.setAttribute('dominant-baseline', 'central');
+                    svg.appendChild(element);
+                    placed.push(box);
+                }
+            });
+        };
+
+        // Laid out for the final zoom only, hidden while the zoom animates
+        const hide = () => { svg.style.display = 'none'; };
+
+        drawRef.current = draw;
+        draw();
+        map.on('moveend zoomend resize viewreset', draw);
+        map.on('zoomstart', hide);
+
+        return () => {
+            map.off('moveend zoomend resize viewreset', draw);
+            map.off('zoomstart', hide);
+            drawRef.current = null;
+            svg.remove();
+        };
+    }, [map, shapes, layers]);
+
+    return null;
+}
+
+export default LabelLayer;
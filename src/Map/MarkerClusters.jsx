@@ -0,0 +1,182 @@
+// MarkerClusters.jsx
+// Groups markers that sit close together on screen into a count bubble. The markers stay in their
+// feature groups, so the draw toolbars and click-to-select keep working; clustered ones are only
+// hidden. Clicking a bubble fans its markers out around it ("spiderfy") to pick one.
+import L from 'leaflet';
+
+const CLUSTER_RADIUS = 50; // px between markers that still end up in the same bubble
+const SPIDER_CIRCLE_MAX = 8; // more markers than this are laid out on a spiral
+const SAFE_COLOR = /^#[0-9a-f]{3,8}$/i;
+const FALLBACK_COLOR = '#3388ff';
+
+// Fired on the map after every refresh with { clusteredIds, bubbles }: the ids of the markers hidden
+// in a bubble and each bubble's { latlng, size } in px, so labels keep clear of both
+export const MARKER_CLUSTERS_EVENT = 'markerclusterschange';
+
+const setHidden = (marker, hidden) => {
+    const element = marker.getElement();
+    if (element) element.style.display = hidden ? 'none' : '';
+};
+
+// Most frequent marker color in the cluster, colors come from other clients so only plain hex is used
+const dominantColor = (markers) => {
+    const counts = new Map();
+    markers.forEach(marker => {
+        const color = marker.feature?.properties?.color;
+        if (SAFE_COLOR.test(color)) counts.set(color, (counts.get(color) || 0) + 1);
+    });
+    let best = FALLBACK_COLOR;
+    counts.forEach((count, color) => {
+        if (count > (counts.get(best) || 0)) best = color;
+    });
+    return best;
+};
+
+const bubbleSize = (count) => count < 10 ? 30 : (count < 100 ? 36 : 44);
+
+const bubbleIcon = (markers) => {
+    const size = bubbleSize(markers.length);
+    return L.divIcon({
+        className: 'marker-cluster',
+        html: `<div style="background:${dominantColor(markers)};width:${size}px;height:${size}px">${markers.length}</div>`,
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size / 2]
+    });
+};
+
+// Offsets around the bubble in pixels: a circle for a few markers, a spiral for many
+const spiderOffsets = (count) => {
+    if (count <= SPIDER_CIRCLE_MAX) {
+        const radius = Math.max(30, count * 9);
+        return Array.from({ length: count }, (_, i) => {
+            const angle = (2 * Math.PI * i) / count - Math.PI / 2;
+            return L.point(radius * Math.cos(angle), radius * Math.sin(angle));
+        });
+    }
+    let angle = 0;
+    let radius = 24;
+    return Array.from({ length: count }, () => {
+        angle += 28 / radius + 0.5;
+        radius += 29 / (2 * Math.PI) * (28 / radius + 0.5);
+        return L.point(radius * Math.cos(angle), radius * Math.sin(angle));
+    });
+};
+
+/**
+ * Greedy clustering on a grid of CLUSTER_RADIUS cells: each marker not yet taken collects the
+ * untaken markers within reach.
+ * @returns {Array<Array<L.Marker>>}
+ */
+const buildClusters = (map, markers) => {
+    const points = markers.map(marker => map.latLngToLayerPoint(marker.getLatLng()));
+    const grid = new Map();
+    points.forEach((point, index) => {
+        const key = `${Math.floor(point.x / CLUSTER_RADIUS)}:${Math.floor(point.y / CLUSTER_RADIUS)}`;
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(index);
+    });
+
+    const taken = new Set();
+    const clusters = [];
+    points.forEach((point, index) => {
+        if (taken.has(index)) return;
+        taken.add(index);
+        const members = [markers[index]];
+        const cellX = Math.floor(point.x / CLUSTER_RADIUS);
+        const cellY = Math.floor(point.y / CLUSTER_RADIUS);
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                (grid.get(`${cellX + dx}:${cellY + dy}`) || []).forEach(other => {
+                    if (!taken.has(other) && points[other].distanceTo(point) <= CLUSTER_RADIUS) {
+                        taken.add(other);
+                        members.push(markers[other]);
+                    }
+                });
+            }
+        }
+        clusters.push(members);
+    });
+    return clusters;
+};
+
+/**
+ * Turns marker clustering on for a map.
+ * @param {L.Map} map
+ * @param {{ getMarkers: () => Array<L.Marker>, isExcluded: (marker: L.Marker) => boolean, onSelect: (marker: L.Marker) => void }} config
+ *   getMarkers returns the markers that may cluster, isExcluded keeps one out (e.g. the selected or
+ *   edited marker), onSelect is called when a marker is picked from a fanned-out bubble
+ * @returns {{ refresh: () => void, disable: () => void }} refresh clusters again after markers changed
+ */
+export function enableMarkerClustering(map, config) {
+    const bubbles = L.layerGroup().addTo(map);
+    const spider = L.layerGroup().addTo(map);
+    let hiddenMarkers = new Set();
+    let spiderfied = null; // the bubble currently fanned out
+
+    const unspiderfy = () => {
+        spider.clearLayers();
+        if (spiderfied) spiderfied.setOpacity(1);
+        spiderfied = null;
+    };
+
+    const spiderfy = (bubble, members) => {
+        unspiderfy();
+        spiderfied = bubble;
+        bubble.setOpacity(0.4);
+        const center = map.latLngToLayerPoint(bubble.getLatLng());
+        spiderOffsets(members.length).forEach((offset, i) => {
+            const marker = members[i];
+            const latlng = map.layerPointToLatLng(center.add(offset));
+            L.polyline([bubble.getLatLng(), latlng], { color: '#555', weight: 1.5, opacity: 0.7, interactive: false }).addTo(spider);
+            // A stand-in with the marker's icon; the real marker keeps its position for editing
+            L.marker(latlng, { icon: marker.options.icon, zIndexOffset: 2000 })
+                .on('click', () => {
+                    unspiderfy();
+                    config.onSelect(marker);
+                    marker.openPopup();
+                })
+                .addTo(spider);
+        });
+    };
+
+    const refresh = () => {
+        unspiderfy();
+        bubbles.clearLayers();
+        hiddenMarkers.forEach(marker => setHidden(marker, false));
+        hiddenMarkers = new Set();
+
+        const markers = config.getMarkers().filter(marker => map.hasLayer(marker) && !config.isExcluded(marker));
+        const placedBubbles = [];
+        buildClusters(map, markers).forEach(members => {
+            if (members.length < 2) return;
+            members.forEach(marker => {
+                setHidden(marker, true);
+                hiddenMarkers.add(marker);
+            });
+            const center = L.latLngBounds(members.map(marker => marker.getLatLng())).getCenter();
+            const bubble = L.marker(center, { icon: bubbleIcon(members), zIndexOffset: 1000, title: `${members.length} markers` });
+            bubble.on('click', () => spiderfied === bubble ? unspiderfy() : spiderfy(bubble, members));
+            bubble.addTo(bubbles);
+            placedBubbles.push({ latlng: center, size: bubbleSize(members.length) });
+        });
+        map.fire(MARKER_CLUSTERS_EVENT, {
+            clusteredIds: new Set([...hiddenMarkers].map(marker => marker.feature?.id)),
+            bubbles: placedBubbles
+        });
+    };
+
+    map.on('zoomend', refresh);
+    map.on('click zoomstart', unspiderfy);
+
+    return {
+        refresh,
+        disable: () => {
+            map.off('zoomend', refresh);
+            map.off('click zoomstart', unspiderfy);
+            hiddenMarkers.forEach(marker => setHidden(marker, false));
+            bubbles.remove();
+            spider.remove();
+            map.fire(MARKER_CLUSTERS_EVENT, { clusteredIds: new Set(), bubbles: [] });
+        }
+    };
+}
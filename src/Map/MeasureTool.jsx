@@ -0,0 +1,155 @@
+import { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { formatArea, formatDistance, getShapeStats } from "../Geometry/Measure.jsx";
+
+const LINE_STYLE = { color: '#e67e22', weight: 3, dashArray: '8 6', interactive: false };
+const GUIDE_STYLE = { color: '#e67e22', weight: 1, dashArray: '2 6', interactive: false };
+
+const toLatLng = ([x, y]) => L.latLng(y, x);
+
+// Measurements use the same geometry as stored shapes so they match the Statistics panel exactly
+const measure = (mode, points, unitsPerKm) => getShapeStats({
+    geometry: mode === 'area' ? { type: 'Polygon', coordinates: [points] } : { type: 'LineString', coordinates: points },
+    properties: {}
+}, unitsPerKm);
+
+const isTyping = (target) => target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+/**
+ * Local-only measuring: clicks add points to a path ('distance') or a polygon ('area'), nothing is
+ * sent to the server. Double-click or Enter finishes, Backspace removes the last point and Escape
+ * clears. Results go to onMeasure in km / km² ({ length } or { area, perimeter }), or null when empty.
+ * Mount with a key per mode so switching starts a fresh measurement.
+ */
+export default function MeasureTool({ mode, unitsPerKm, unit, onMeasure }) {
+    const map = useMap();
+    const pointsRef = useRef([]); // [x, y] in map units, like GeoJSON coordinates
+    const finishedRef = useRef(false);
+
+    useEffect(() => {
+        const group = L.layerGroup().addTo(map);
+        const path = (mode === 'area' ? L.polygon([], LINE_STYLE) : L.polyline([], LINE_STYLE)).addTo(group);
+        const guide = L.polyline([], GUIDE_STYLE).addTo(group);
+        const cursorLabel = L.tooltip({ permanent: true, direction: 'right', offset: [12, 0], className: 'measure-label' });
+        let labels = [];
+
+        const label = (latlng, text, direction = 'top') => L.tooltip({ permanent: true, direction, className: 'measure-label' })
+            .setLatLng(latlng)
+            .setContent(text)
+            .addTo(group);
+
+        const describe = (stats) => mode === 'area'
+            ? `${formatArea(stats.area, unit)}<br>${formatDistance(stats.perimeter, unit)} around`
+            : formatDistance(stats.length, unit);
+
+        const redraw = () => {
+            const points = pointsRef.current;
+            path.setLatLngs(points.map(toLatLng));
+            labels.forEach(tooltip => group.removeLayer(tooltip));
+            labels = [];
+
+            if (mode === 'area') {
+                if (points.length >= 3) {
+                    labels.push(label(path.getCenter(), describe(measure(mode, points, unitsPerKm)), 'center'));
+                }
+            } else {
+                // Running total at every vertex
+                for (let i = 1; i < points.length; i++) {
+                    labels.push(label(toLatLng(points[i]), describe(measure(mode, points.slice(0, i + 1), unitsPerKm))));
+                }
+            }
+
+            const enough = mode === 'area' ? points.length >= 3 : points.length >= 2;
+            onMeasure(enough ? measure(mode, points, unitsPerKm) : null);
+        };
+
+        const clearGuide = () => {
+            guide.setLatLngs([]);
+            cursorLabel.remove();
+        };
+
+        const finish = () => {
+            finishedRef.current = true;
+            clearGuide();
+        };
+
+        const onClick = (e) => {
+            if (finishedRef.current) {
+                // A click after finishing starts a new measurement
+                pointsRef.current = [];
+                finishedRef.current = false;
+            }
+            const point = [e.latlng.lng, e.latlng.lat];
+            const last = pointsRef.current[pointsRef.current.length - 1];
+            // The two clicks of a double-click land on the same spot; don't count the second
+            if (last && last[0] === point[0] && last[1] === point[1]) return;
+            pointsRef.current = [...pointsRef.current, point];
+            redraw();
+        };
+
+        const onMouseMove = (e) => {
+            const points = pointsRef.current;
+            if (finishedRef.current || points.length === 0) return;
+            const cursor = [e.latlng.lng, e.latlng.lat];
+            const guidePoints = mode === 'area' && points.length >= 2
+                ? [points[points.length - 1], cursor, points[0]]
+                : [points[points.length - 1], cursor];
+            guide.setLatLngs(guidePoints.map(toLatLng));
+
+            const preview = [...points, cursor];
+            const enough = mode === 'area' ? preview.length >= 3 : preview.length >= 2;
+            if (enough) {
+                cursorLabel.setLatLng(e.latlng).setContent(describe(measure(mode, preview, unitsPerKm)));
+                if (!map.hasLayer(cursorLabel)) cursorLabel.addTo(map);
+            }
+        };
+
+        const onKeyDown = (e) => {
+            if (isTyping(e.target)) return;
+            if (e.key === 'Enter') {
+                finish();
+            } else if (e.key === 'Escape') {
+                pointsRef.current = [];
+                finishedRef.current = false;
+                clearGuide();
+                redraw();
+            } else if (e.key === 'Backspace' && pointsRef.current.length > 0) {
+                e.preventDefault();
+                pointsRef.current = pointsRef.current.slice(0, -1);
+                finishedRef.current = false;
+                if (pointsRef.current.length === 0) clearGuide();
+                redraw();
+            }
+        };
+
+        // Clicking across existing shapes shouldn't pop up their details while measuring
+        const onPopupOpen = () => map.closePopup();
+
+        const container = map.getContainer();
+        container.style.cursor = 'crosshair';
+        map.doubleClickZoom.disable();
+        map.on('click', onClick);
+        map.on('dblclick', finish);
+        map.on('mousemove', onMouseMove);
+        map.on('popupopen', onPopupOpen);
+        window.addEventListener('keydown', onKeyDown);
+
+        // Redraw whatever survived a unit or scale change
+        redraw();
+
+        return () => {
+            map.off('click', onClick);
+            map.off('dblclick', finish);
+            map.off('mousemove', onMouseMove);
+            map.off('popupopen', onPopupOpen);
+            window.removeEventListener('keydown', onKeyDown);
+            map.doubleClickZoom.enable();
+            container.style.cursor = '';
+            cursorLabel.remove();
+            group.remove();
+        };
+    }, [map, mode, unitsPerKm, unit, onMeasure]);
+
+    return null;
+}
@@ -0,0 +1,31 @@
+// MultiPartEditing.jsx
+// leaflet-draw edits only the first ring of a polygon or line. This gives every ring its own
+// vertex handles, so holes and every part of a MultiPolygon or MultiLineString can be edited.
+import L from 'leaflet';
+import 'leaflet-draw';
+
+// Flat latlng arrays at any nesting depth; they are the layer's own arrays, so edits apply in place
+const flatRingsOf = (latlngs, rings = []) => {
+    if (L.LineUtil.isFlat(latlngs)) {
+        rings.push(latlngs);
+    } else {
+        latlngs.forEach(child => flatRingsOf(child, rings));
+    }
+    return rings;
+};
+
+let installed = false;
+
+function installMultiPartEditing() {
+    if (installed) return;
+    installed = true;
+
+    L.Edit.Poly.include({
+        _initHandlers() {
+            this._verticesHandlers = flatRingsOf(this._poly._latlngs)
+                .map(ring => new L.Edit.PolyVerticesEdit(this._poly, ring, this._poly.options.poly));
+        }
+    });
+}
+
+installMultiPartEditing();
@@ -0,0 +1,163 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import WebSocketService from "../Messaging/WebSocketService.jsx";
+import { escapeHtml } from "../Utils/Html.jsx";
+
+const CURSOR_THROTTLE_MS = 100;
+const HEARTBEAT_MS = 10000;
+const STALE_AFTER_MS = 30000;
+const SAFE_COLOR = /^#[0-9a-f]{3,8}$/i;
+
+const cursorIcon = (peer) => {
+    const color = SAFE_COLOR.test(peer.color) ? peer.color : '#555555';
+    return L.divIcon({
+        className: 'presence-cursor',
+        html: `<svg width="16" height="16" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg">
+                 <path d="M1 1L6 15L8.5 8.5L15 6L1 1Z" fill="${color}" stroke="#fff" stroke-width="1.2"/>
+               </svg>
+               <span style="background:${color}">${escapeHtml(peer.name)}</span>`,
+        iconSize: [0, 0],
+        iconAnchor: [1, 1]
+    });
+};
+
+/**
+ * Publishes this user's cursor (in CRS.Simple map coordinates), selection and edit state on the
+ * presence channel, and draws everybody else's cursor. Other users' selections are reported
+ * through onPeersChange; cursor-only movement is not, to keep App from re-rendering on every frame.
+ * Mounted once per map: unmounting says goodbye on the map's presence channel and forgets its peers.
+ */
+export default function PresenceLayer({ user, selectedId, isEditing, onPeersChange }) {
+    const map = useMap();
+    const peersRef = useRef(new Map()); // userId -> { presence, marker }
+    const stateRef = useRef({ cursor: null, selectedId: null, editingId: null });
+    const lastSentRef = useRef(0);
+
+    const publish = useCallback(() => {
+        lastSentRef.current = Date.now();
+        WebSocketService.sendPresence({
+            type: 'presence',
+            userId: user.id,
+            name: user.name,
+            color: user.color,
+            ...stateRef.current,
+            timestamp: lastSentRef.current
+        });
+    }, [user]);
+
+    useEffect(() => {
+        stateRef.current = {
+            ...stateRef.current,
+            selectedId: selectedId ?? null,
+            editingId: isEditing && selectedId != null ? selectedId : null
+        };
+        publish();
+    }, [selectedId, isEditing, publish]);
+
+    useEffect(() => {
+        let wasConnected = false;
+        return WebSocketService.subscribeStatus(({ status }) => {
+            const isConnected = status === 'connected';
+            // Anything published before the connection came up was dropped
+            if (isConnected && !wasConnected) publish();
+            wasConnected = isConnected;
+        });
+    }, [publish]);
+
+    useEffect(() => {
+        let pendingTimeout = null;
+
+        const onMouseMove = (e) => {
+            stateRef.current.cursor = [e.latlng.lat, e.latlng.lng];
+            const wait = CURSOR_THROTTLE_MS - (Date.now() - lastSentRef.current);
+            if (wait <= 0) {
+                publish();
+            } else if (!pendingTimeout) {
+                pendingTimeout = setTimeout(() => {
+                    pendingTimeout = null;
+                    publish();
+                }, wait);
+            }
+        };
+        const onMouseOut = () => {
+            stateRef.current.cursor = null;
+            publish();
+        };
+        const onUnload = () => WebSocketService.sendPresence({ type: 'leave', userId: user.id });
+
+        map.on('mousemove', onMouseMove);
+        map.on('mouseout', onMouseOut);
+        window.addEventListener('beforeunload', onUnload);
+        const heartbeat = setInterval(publish, HEARTBEAT_MS);
+
+        return () => {
+            map.off('mousemove', onMouseMove);
+            map.off('mouseout', onMouseOut);
+            window.removeEventListener('beforeunload', onUnload);
+            clearInterval(heartbeat);
+            clearTimeout(pendingTimeout);
+            onUnload();
+        };
+    }, [map, publish, user]);
+
+    useEffect(() => {
+        const peers = peersRef.current;
+        const emit = () => onPeersChange(Array.from(peers.values()).map(peer => peer.presence));
+
+        const removePeer = (userId) => {
+            const peer = peers.get(userId);
+            if (!peer) return;
+            if (peer.marker) peer.marker.remove();
+            peers.delete(userId);
+            emit();
+        };
+
+        WebSocketService.registerPresenceHandler((presence) => {
+            if (!presence || !presence.userId || presence.userId === user.id) return;
+            if (presence.type === 'leave') {
+                removePeer(presence.userId);
+                return;
+            }
+
+            const previous = peers.get(presence.userId);
+            const identityChanged = !previous || previous.presence.name !== presence.name || previous.presence.color !== presence.color;
+            const selectionChanged = !previous || previous.presence.selectedId !== presence.selectedId || previous.presence.editingId !== presence.editingId;
+
+            let marker = previous ? previous.marker : null;
+            if (Array.isArray(presence.cursor)) {
+                const latlng = L.latLng(presence.cursor[0], presence.cursor[1]);
+                if (!marker) {
+                    marker = L.marker(latlng, { icon: cursorIcon(presence), interactive: false, keyboard: false, zIndexOffset: 10000 }).addTo(map);
+                } else {
+                    marker.setLatLng(latlng);
+                    if (identityChanged) marker.setIcon(cursorIcon(presence));
+                }
+            } else if (marker) {
+                marker.remove();
+                marker = null;
+            }
+
+            peers.set(presence.userId, { presence: { ...presence, receivedAt: Date.now() }, marker });
+            if (identityChanged || selectionChanged) emit();
+        });
+
+        // Peers that closed the tab without a leave message drop out after a few missed heartbeats
+        const sweep = setInterval(() => {
+            const now = Date.now();
+            peers.forEach((peer, userId) => {
+                if (now - peer.presence.receivedAt > STALE_AFTER_MS) removePeer(userId);
+            });
+        }, HEARTBEAT_MS);
+
+        return () => {
+            WebSocketService.registerPresenceHandler(null);
+            clearInterval(sweep);
+            peers.forEach(peer => peer.marker && peer.marker.remove());
+            peers.clear();
+            onPeersChange([]);
+        };
+    }, [map, user, onPeersChange]);
+
+    return null;
+}
@@ -0,0 +1,33 @@
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { OFF_ROAD } from "../Geometry/Routing.jsx";
+
+const toLatLngs = (coordinates) => coordinates.map(([x, y]) => L.latLng(y, x));
+
+/**
+ * Highlights a planned route on top of the map: a halo under every leg, solid along the network
+ * and dashed for the off-road bits to and from it.
+ */
+export default function RouteLayer({ route }) {
+    const map = useMap();
+
+    useEffect(() => {
+        if (!route) return;
+        const group = L.layerGroup().addTo(map);
+        route.legs.forEach(leg => {
+            const latlngs = toLatLngs(leg.coordinates);
+            L.polyline(latlngs, { color: '#ffffff', weight: 10, opacity: 0.8, interactive: false }).addTo(group);
+            L.polyline(latlngs, {
+                color: '#8e44ad',
+                weight: 5,
+                opacity: 0.9,
+                dashArray: leg.type === OFF_ROAD ? '4 8' : null,
+                interactive: false
+            }).addTo(group);
+        });
+        return () => group.remove();
+    }, [map, route]);
+
+    return null;
+}
@@ -0,0 +1,51 @@
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { distance } from "../Geometry/Measure.jsx";
+
+/**
+ * While mounted, lets the user click two points on the map and reports the distance between them
+ * in map units through onMeasured. The dashed guide line stays visible until unmounted so the
+ * user can see what they measured while entering the real distance.
+ */
+export default function ScaleCalibration({ onMeasured }) {
+    const map = useMap();
+
+    useEffect(() => {
+        const guide = L.polyline([], { color: '#1a73e8', weight: 2, dashArray: '6 6', interactive: false }).addTo(map);
+        const points = [];
+        const container = map.getContainer();
+        container.style.cursor = 'crosshair';
+
+        const onClick = (e) => {
+            if (points.length >= 2) {
+                // Start over on a third click
+                points.length = 0;
+            }
+            points.push(e.latlng);
+            guide.setLatLngs(points);
+            if (points.length === 2) {
+                onMeasured(distance([points[0].lng, points[0].lat], [points[1].lng, points[1].lat]));
+            }
+        };
+        const onMouseMove = (e) => {
+            if (points.length === 1) {
+                guide.setLatLngs([points[0], e.latlng]);
+            }
+        };
+
+        map.on('click', onClick);
+        map.on('mousemove', onMouseMove);
+        map.doubleClickZoom.disable();
+
+        return () => {
+            map.off('click', onClick);
+            map.off('mousemove', onMouseMove);
+            map.doubleClickZoom.enable();
+            container.style.cursor = '';
+            guide.remove();
+        };
+    }, [map, onMeasured]);
+
+    return null;
+}
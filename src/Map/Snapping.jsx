@@ -0,0 +1,227 @@
+// Snapping.jsx
+// Vertex/edge snapping and shared-edge editing on top of leaflet-draw. The draw and edit handlers
+// are patched once; each map opts in through enableSnapping and only then do the patches act.
+import L from 'leaflet';
+import 'leaflet-draw';
+
+const SNAP_DISTANCE_PX = 10;
+// Vertices this close on screen are the same border point for shared-edge editing
+const SHARED_VERTEX_PX = 1;
+
+const snapConfigs = new WeakMap(); // map -> config passed to enableSnapping
+
+/**
+ * Turns snapping on for a map.
+ * @param {L.Map} map
+ * @param {{ getLayers: () => Array<L.Layer>, getEditableLayers: () => Array<L.Layer>, isEnabled: () => boolean, isSharedEdges: () => boolean }} config
+ *   getLayers returns the shapes to snap to, getEditableLayers the ones a shared-edge drag may move
+ *   along (feature groups are searched recursively)
+ * @returns {() => void} disables it again
+ */
+export function enableSnapping(map, config) {
+    snapConfigs.set(map, config);
+    return () => snapConfigs.delete(map);
+}
+
+const collectTargets = (layers, exclude, targets = []) => {
+    layers.forEach(layer => {
+        if (exclude.has(layer)) return;
+        if (layer instanceof L.LayerGroup) {
+            collectTargets(layer.getLayers(), exclude, targets);
+        } else if (layer instanceof L.Polyline || layer instanceof L.Marker) {
+            targets.push(layer);
+        }
+    });
+    return targets;
+};
+
+// Every flat ring/line of a path layer; polygons with holes and multi-geometries have several
+const ringsOf = (layer) => {
+    const rings = [];
+    const visit = (latlngs) => {
+        if (L.LineUtil.isFlat(latlngs)) {
+            rings.push(latlngs);
+        } else {
+            latlngs.forEach(visit);
+        }
+    };
+    visit(layer.getLatLngs());
+    return rings;
+};
+
+/**
+ * Moves a latlng onto the closest vertex within reach, or failing that onto the closest edge.
+ * Returns the latlng untouched when nothing is close or snapping is off for the map.
+ * @param {L.Map} map
+ * @param {L.LatLng} latlng
+ * @param {Set<L.Layer>} [exclude] layers not to snap to, e.g. the one being edited
+ */
+export function snapLatLng(map, latlng, exclude = new Set()) {
+    const config = snapConfigs.get(map);
+    if (!config || !config.isEnabled() || !latlng) return latlng;
+
+    const point = map.latLngToLayerPoint(latlng);
+    let bestVertex = null;
+    let bestVertexDistance = SNAP_DISTANCE_PX;
+    let bestEdge = null;
+    let bestEdgeDistance = SNAP_DISTANCE_PX;
+
+    collectTargets(config.getLayers(), exclude).forEach(layer => {
+        if (layer instanceof L.Marker) {
+            const d = map.latLngToLayerPoint(layer.getLatLng()).distanceTo(point);
+            if (d < bestVertexDistance) {
+                bestVertex = layer.getLatLng();
+                bestVertexDistance = d;
+            }
+            return;
+        }
+
+        const closed = layer instanceof L.Polygon;
+        ringsOf(layer).forEach(ring => {
+            const points = ring.map(ll => map.latLngToLayerPoint(ll));
+            points.forEach((p, i) => {
+                const d = p.distanceTo(point);
+                if (d < bestVertexDistance) {
+                    bestVertex = ring[i];
+                    bestVertexDistance = d;
+                }
+                const next = i + 1 < points.length ? i + 1 : (closed ? 0 : -1);
+                if (next < 0 || next === i) return;
+                const onEdge = L.LineUtil.closestPointOnSegment(point, p, points[next]);
+                const edgeDistance = onEdge.distanceTo(point);
+                if (edgeDistance < bestEdgeDistance) {
+                    bestEdge = onEdge;
+                    bestEdgeDistance = edgeDistance;
+                }
+            });
+        });
+    });
+
+    if (bestVertex) return L.latLng(bestVertex.lat, bestVertex.lng);
+    if (bestEdge) return map.layerPointToLatLng(bestEdge);
+    return latlng;
+}
+
+const samePoint = (map, a, b) => map.latLngToLayerPoint(a).distanceTo(map.latLngToLayerPoint(b)) <= SHARED_VERTEX_PX;
+
+/**
+ * Finds the vertices of other polygons/polylines that share the point being dragged, so they can
+ * move with it. When the dragged vertex was just inserted in the middle of an edge, a matching
+ * vertex is inserted into every other shape that shares that edge.
+ * @returns {Array<{ layer: L.Polyline, latlng: L.LatLng }>}
+ */
+function findSharedVertices(map, layers, origin, prev, next, exclude) {
+    const shared = [];
+    collectTargets(layers, exclude).forEach(layer => {
+        if (!(layer instanceof L.Polyline)) return;
+        const closed = layer instanceof L.Polygon;
+        let changed = false;
+        ringsOf(layer).forEach(ring => {
+            const vertex = ring.find(ll => samePoint(map, ll, origin));
+            if (vertex) {
+                shared.push({ layer, latlng: vertex });
+                return;
+            }
+            if (!prev || !next) return;
+            for (let i = 0; i < ring.length; i++) {
+                const j = i + 1 < ring.length ? i + 1 : (closed ? 0 : -1);
+                if (j < 0) break;
+                const matches = (samePoint(map, ring[i], prev) && samePoint(map, ring[j], next))
+                    || (samePoint(map, ring[i], next) && samePoint(map, ring[j], prev));
+                if (matches) {
+                    const inserted = L.latLng(origin.lat, origin.lng);
+                    ring.splice(i + 1, 0, inserted);
+                    shared.push({ layer, latlng: inserted });
+                    changed = true;
+                    break;
+                }
+            }
+        });
+        if (changed) layer.setLatLngs(layer.getLatLngs());
+    });
+    return shared;
+}
+
+let installed = false;
+
+function installSnapping() {
+    if (installed) return;
+    installed = true;
+
+    // Drawing lines and polygons: the guide follows the snapped position and clicks add it
+    const polylineMouseMove = L.Draw.Polyline.prototype._onMouseMove;
+    const polylineAddVertex = L.Draw.Polyline.prototype.addVertex;
+    L.Draw.Polyline.include({
+        _onMouseMove(e) {
+            polylineMouseMove.call(this, e);
+            // Holding Alt places the point freely
+            this._snapSuspended = !!e.originalEvent?.altKey;
+            if (this._snapSuspended) return;
+            const snapped = snapLatLng(this._map, this._currentLatLng);
+            if (snapped !== this._currentLatLng) {
+                this._currentLatLng = snapped;
+                this._mouseMarker.setLatLng(snapped);
+                this._updateGuide(this._map.latLngToLayerPoint(snapped));
+            }
+        },
+        addVertex(latlng) {
+            return polylineAddVertex.call(this, this._snapSuspended ? latlng : snapLatLng(this._map, latlng));
+        }
+    });
+
+    // Placing markers
+    const markerMouseMove = L.Draw.Marker.prototype._onMouseMove;
+    L.Draw.Marker.include({
+        _onMouseMove(e) {
+            const latlng = e.originalEvent?.altKey ? e.latlng : snapLatLng(this._map, e.latlng);
+            markerMouseMove.call(this, { ...e, latlng });
+        }
+    });
+
+    // Editing vertices: snap the dragged marker, and in shared-edge mode drag the neighbours' copy along
+    const vertexDrag = L.Edit.PolyVerticesEdit.prototype._onMarkerDrag;
+    const vertexFireEdit = L.Edit.PolyVerticesEdit.prototype._fireEdit;
+    L.Edit.PolyVerticesEdit.include({
+        _onMarkerDrag(e) {
+            const marker = e.target;
+            const map = this._poly._map;
+            const config = snapConfigs.get(map);
+
+            if (config && config.isSharedEdges() && this._sharedDrag?.marker !== marker) {
+                const origin = L.latLng(marker._origLatLng.lat, marker._origLatLng.lng);
+                this._sharedDrag = {
+                    marker,
+                    vertices: findSharedVertices(map, config.getEditableLayers(), origin, marker._prev?.getLatLng(), marker._next?.getLatLng(), new Set([this._poly]))
+                };
+            }
+
+            const exclude = new Set([this._poly, ...(this._sharedDrag?.vertices || []).map(shared => shared.layer)]);
+            if (!e.originalEvent?.altKey) {
+                const snapped = snapLatLng(map, marker.getLatLng(), exclude);
+                if (snapped !== marker.getLatLng()) marker.setLatLng(snapped);
+            }
+
+            vertexDrag.call(this, e);
+
+            if (this._sharedDrag?.marker === marker) {
+                const moved = new Set();
+                this._sharedDrag.vertices.forEach(({ layer, latlng }) => {
+                    latlng.lat = marker.getLatLng().lat;
+                    latlng.lng = marker.getLatLng().lng;
+                    moved.add(layer);
+                });
+                moved.forEach(layer => {
+                    // Picked up by the edit toolbar's save like any other edited layer
+                    layer.edited = true;
+                    layer.redraw();
+                });
+            }
+        },
+        _fireEdit() {
+            this._sharedDrag = null;
+            return vertexFireEdit.call(this);
+        }
+    });
+}
+
+installSnapping();
@@ -0,0 +1,161 @@
+// BaseImages.jsx
+// The images under the shapes. A map stacks any number of them, each stretched over its own
+// bounds (`[[south, west], [north, east]]`), bottom one first. Maps saved before base images
+// existed show their single imageUrl the way it always was, forced into a 1000x1000 viewBox, so
+// shapes drawn over it stay where they were.
+//
+// A large image can be cut into tiles with `npm run tiles` (scripts/tile-base-map.js); the tiles
+// and their tiles.json manifest sit next to it, in `<name>.tiles/`.
+
+export const isValidBounds = (bounds) => Array.isArray(bounds) && bounds.length === 2 &&
+    bounds.every(corner => Array.isArray(corner) && corner.length === 2 && corner.every(Number.isFinite)) &&
+    bounds[0][0] < bounds[1][0] && bounds[0][1] < bounds[1][1];
+
+const clampOpacity = (opacity) => Number.isFinite(opacity) ? Math.min(1, Math.max(0, opacity)) : 1;
+
+/**
+ * The base images of a map definition, `{ id, name, url, bounds, opacity, legacyViewBox? }` each.
+ * @param {Array|undefined} baseImages as stored with the map
+ * @param {string} imageUrl the map's single image from before base images existed
+ * @param {Array} bounds the map's bounds
+ * @returns {Array}
+ */
+export function normalizeBaseImages(baseImages, imageUrl, bounds) {
+    if (!Array.isArray(baseImages)) {
+        return [{ id: 'base', name: 'Base map', url: imageUrl, bounds, opacity: 1, legacyViewBox: true }];
+    }
+    return baseImages
+        .filter(image => image && image.id != null && image.url && isValidBounds(image.bounds))
+        .map(image => ({ ...image, name: image.name || 'Image', opacity: clampOpacity(image.opacity) }));
+}
+
+export function createBaseImage(name, url, bounds) {
+    return {
+        id: `image-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        name,
+        url,
+        bounds,
+        opacity: 1
+    };
+}
+
+/**
+ * Bounds for an image of the given pixel size: as large as fits in the map bounds, centered,
+ * keeping the image's proportions.
+ */
+export function boundsForImageSize(width, height, mapBounds) {
+    const [[south, west], [north, east]] = mapBounds;
+    const scale = Math.min((east - west) / width, (north - south) / height);
+    const centerX = (west + east) / 2;
+    const centerY = (south + north) / 2;
+    return [
+        [centerY - height * scale / 2, centerX - width * scale / 2],
+        [centerY + height * scale / 2, centerX + width * scale / 2]
+    ];
+}
+
+// Least-squares line through the points: value = scale * position + offset
+const fitAxis = (positions, values) => {
+    const n = positions.length;
+    const meanPosition = positions.reduce((sum, p) => sum + p, 0) / n;
+    const meanValue = values.reduce((sum, v) => sum + v, 0) / n;
+    let covariance = 0;
+    let variance = 0;
+    positions.forEach((p, i) => {
+        covariance += (p - meanPosition) * (values[i] - meanValue);
+        variance += (p - meanPosition) ** 2;
+    });
+    if (variance < 1e-12) return null;
+    const scale = covariance / variance;
+    return { scale, offset: meanValue - scale * meanPosition };
+};
+
+/**
+ * Georeferences an image from control points: pairs of a spot on the image and the map position
+ * it belongs at. Images are not rotated, so each axis is fitted on its own.
+ * @param {Array<{ image: number[], map: number[] }>} pairs image is `[u, v]`, the spot's position
+ *   across the image from its west and south edges (0 to 1); map is `[lat, lng]`
+ * @returns {{ bounds: Array }|{ error: string }}
+ */
+export function fitBoundsToControlPoints(pairs) {
+    if (pairs.length < 2) return { error: 'Match at least two points' };
+    const x = fitAxis(pairs.map(pair => pair.image[0]), pairs.map(pair => pair.map[1]));
+    const y = fitAxis(pairs.map(pair => pair.image[1]), pairs.map(pair => pair.map[0]));
+    if (!x || !y) return { error: 'The points on the image must differ both across and up and down' };
+    if (x.scale <= 0 || y.scale <= 0) return { error: 'These points would flip the image' };
+    return { bounds: [[y.offset, x.offset], [y.offset + y.scale, x.offset + x.scale]] };
+}
+
+/**
+ * The pixel size of an image file, read from the viewBox or size attributes for SVG.
+ * @param {File} file
+ * @returns {Promise<{ width: number, height: number }>}
+ */
+export async function readImageSize(file) {
+    if (file.type === 'image/svg+xml') {
+        const root = new DOMParser().parseFromString(await file.text(), 'image/svg+xml').documentElement;
+        const viewBox = (root.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+        const width = viewBox.length === 4 ? viewBox[2] : parseFloat(root.getAttribute('width'));
+        const height = viewBox.length === 4 ? viewBox[3] : parseFloat(root.getAttribute('height'));
+        if (width > 0 && height > 0) return { width, height };
+        throw new Error('The SVG has no size or viewBox');
+    }
+    const url = URL.createObjectURL(file);
+    try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+        return { width: image.naturalWidth, height: image.naturalHeight };
+    } catch (error) {
+        console.error('Failed to decode the image:', error);
+        throw new Error('The file could not be read as an image');
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+const boundsEqual = (a, b) => {
+    const tolerance = 1e-9 * Math.max(a[1][0] - a[0][0], a[1][1] - a[0][1]);
+    return a.every((corner, i) => corner.every((value, j) => Math.abs(value - b[i][j]) <= tolerance));
+};
+
+/**
+ * The tile pyramid made for an image, if there is one and it was rendered over the bounds the
+ * image has now; a moved image falls back to being drawn whole.
+ * @param {object} image from normalizeBaseImages
+ * @param {object|null} manifest as loadTileManifest found it
+ * @returns {boolean}
+ */
+export const hasMatchingTiles = (image, manifest) => !!manifest && boundsEqual(manifest.bounds, image.bounds) &&
+    !!manifest.legacyViewBox === !!image.legacyViewBox;
+
+/**
+ * The tiles.json the tiling script wrote next to an image, with the URL template of its tiles.
+ * @param {string} imageUrl
+ * @returns {Promise<{ urlTemplate: string, tileSize: number, minZoom: number, maxZoom: number, bounds: Array, legacyViewBox: boolean }|null>}
+ *   null when the image has no tiles
+ */
+export async function loadTileManifest(imageUrl) {
+    if (typeof imageUrl !== 'string' || !imageUrl) return null;
+    try {
+        const directory = `${imageUrl.replace(/[?#].*$/, '').replace(/\.[^./]+$/, '')}.tiles`;
+        const response = await fetch(`${directory}/tiles.json`);
+        // The dev server answers missing files with the app's page
+        if (!response.ok || !response.headers.get('Content-Type')?.includes('json')) return null;
+        const manifest = await response.json();
+        if (!isValidBounds(manifest.bounds) || !Number.isInteger(manifest.minZoom) || !Number.isInteger(manifest.maxZoom)) {
+            return null;
+        }
+        return {
+            urlTemplate: `${directory}/{z}/{x}/{y}.${manifest.format || 'png'}`,
+            tileSize: manifest.tileSize || 256,
+            minZoom: manifest.minZoom,
+            maxZoom: manifest.maxZoom,
+            bounds: manifest.bounds,
+            legacyViewBox: !!manifest.legacyViewBox
+        };
+    } catch (error) {
+        console.error('Failed to load the tile manifest:', error);
+        return null;
+    }
+}
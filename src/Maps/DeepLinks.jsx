@@ -0,0 +1,91 @@
+// DeepLinks.jsx
+// The page URL's hash follows what the user is looking at, so a copied URL shows the same thing:
+// `#view=lat,lng,zoom&shape=id&hidden=layerId,layerId&panel=layers`, every part optional. The
+// open map is the `?map=` query, see MapUtils.jsx.
+
+// Panels a link may open; editing the base map stays a deliberate choice
+const LINKABLE_PANELS = ['maps', 'layers', 'scale', 'measure', 'route', 'timeline'];
+
+const decodeList = (value) => value.split(',').filter(Boolean).map(decodeURIComponent);
+const encodeList = (values) => values.map(encodeURIComponent).join(',');
+
+// Enough decimals to land on the same screen pixel at that zoom
+const roundForZoom = (value, zoom) => Number(value.toFixed(Math.max(0, Math.ceil(zoom * Math.log10(2)))));
+
+/**
+ * @param {string} hash `window.location.hash`
+ * @returns {{ view: ({ center: number[], zoom: number }|null), shapeId: (string|null), hiddenLayerIds: (string[]|null), panel: (string|null) }}
+ *   hiddenLayerIds is null when the link says nothing about layers
+ */
+export function parseDeepLink(hash) {
+    const params = {};
+    hash.replace(/^#/, '').split('&').forEach(part => {
+        const separator = part.indexOf('=');
+        if (separator > 0) params[part.slice(0, separator)] = part.slice(separator + 1);
+    });
+
+    const [lat, lng, zoom] = (params.view || '').split(',').map(Number);
+    let panel = null;
+    let shapeId = null;
+    let hiddenLayerIds = null;
+    try {
+        panel = params.panel ? decodeURIComponent(params.panel) : null;
+        shapeId = params.shape ? decodeURIComponent(params.shape) : null;
+        hiddenLayerIds = params.hidden !== undefined ? decodeList(params.hidden) : null;
+    } catch (error) {
+        console.error('Ignoring a malformed link:', error);
+    }
+    return {
+        view: params.view && [lat, lng, zoom].every(Number.isFinite) ? { center: [lat, lng], zoom } : null,
+        shapeId,
+        hiddenLayerIds,
+        panel: LINKABLE_PANELS.includes(panel) ? panel : null
+    };
+}
+
+/**
+ * The hash for a view, empty when there is nothing to show.
+ * @param {{ center?: { lat: number, lng: number }, zoom?: number, shapeId?: (string|number|null), hiddenLayerIds?: string[], panel?: (string|null) }} link
+ * @returns {string}
+ */
+export function formatDeepLink({ center, zoom, shapeId, hiddenLayerIds = [], panel }) {
+    const parts = [];
+    if (center && Number.isFinite(zoom)) {
+        parts.push(`view=${roundForZoom(center.lat, zoom)},${roundForZoom(center.lng, zoom)},${zoom}`);
+    }
+    if (shapeId != null) parts.push(`shape=${encodeURIComponent(shapeId)}`);
+    if (hiddenLayerIds.length > 0) parts.push(`hidden=${encodeList(hiddenLayerIds)}`);
+    if (LINKABLE_PANELS.includes(panel)) parts.push(`panel=${encodeURIComponent(panel)}`);
+    return parts.length > 0 ? `#${parts.join('&')}` : '';
+}
+
+export function readDeepLink() {
+    return parseDeepLink(window.location.hash);
+}
+
+/**
+ * Keeps the page URL in step with the view. The history entry is replaced: panning around
+ * doesn't give the back button anything to walk through.
+ */
+export function writeDeepLink(link) {
+    const url = new URL(window.location.href);
+    url.hash = formatDeepLink(link);
+    if (url.href !== window.location.href) window.history.replaceState(window.history.state, '', url);
+}
+
+/**
+ * A link to a shape as the user sees it now: same map, view and hidden layers, no panel open.
+ * @param {string|number} shapeId
+ * @returns {string}
+ */
+export function shapeLinkUrl(shapeId) {
+    const { view, hiddenLayerIds } = readDeepLink();
+    const url = new URL(window.location.href);
+    url.hash = formatDeepLink({
+        center: view && { lat: view.center[0], lng: view.center[1] },
+        zoom: view?.zoom,
+        shapeId,
+        hiddenLayerIds: hiddenLayerIds || []
+    });
+    return url.href;
+}
@@ -0,0 +1,55 @@
+// MapUtils.jsx
+import { isValidBounds, normalizeBaseImages } from "./BaseImages.jsx";
+
+export const DEFAULT_MAP_IMAGE = '/carte.svg';
+export const DEFAULT_MAP_SIZE = 10000000;
+
+const MAP_PARAM = 'map';
+
+/** Bounds of a map of the given size centered on the origin. */
+export function createMapBounds(width, height) {
+    return [[-height / 2, -width / 2], [height / 2, width / 2]];
+}
+
+/**
+ * Map definitions as returned by `/api/maps`: `{ id, name, imageUrl, bounds, baseImages }`, bounds
+ * being `[[south, west], [north, east]]` in CRS.Simple units. Missing fields get the values the
+ * single map had before, so a map without its own base image still shows the original one.
+ * @param {object} map
+ * @returns {object}
+ */
+export function normalizeMap(map) {
+    const imageUrl = map.imageUrl || DEFAULT_MAP_IMAGE;
+    const bounds = isValidBounds(map.bounds) ? map.bounds : createMapBounds(DEFAULT_MAP_SIZE, DEFAULT_MAP_SIZE);
+    return {
+        ...map,
+        // Ids come back from the URL as strings, so they are compared as strings everywhere
+        id: map.id == null ? null : String(map.id),
+        name: map.name || 'Untitled map',
+        imageUrl,
+        bounds,
+        baseImages: normalizeBaseImages(map.baseImages, imageUrl, bounds)
+    };
+}
+
+/** The map named in the page URL (`?map=`), or null. */
+export function getUrlMapId() {
+    return new URLSearchParams(window.location.search).get(MAP_PARAM);
+}
+
+/**
+ * Puts the map in the page URL so a copied link opens the same world.
+ * @param {string|null} mapId
+ * @param {boolean} [replace] replace the history entry instead of adding one
+ */
+export function setUrlMapId(mapId, replace = false) {
+    const url = new URL(window.location.href);
+    if (mapId == null) {
+        url.searchParams.delete(MAP_PARAM);
+    } else {
+        url.searchParams.set(MAP_PARAM, mapId);
+    }
+    // The view and selection in the hash belong to the map being left
+    url.hash = '';
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+}
@@ -0,0 +1,107 @@
+// AuthService.jsx
+
+const STORAGE_KEY = 'maprp.auth';
+
+export const ROLES = {
+    VIEWER: 'viewer',
+    EDITOR: 'editor',
+    ADMIN: 'admin'
+};
+
+// Anyone who hasn't logged in can look at the map but not change it
+const GUEST_SESSION = { token: null, username: null, role: ROLES.VIEWER, layers: [] };
+
+/**
+ * Whether a session may change a shape. Admins may change anything; editors may change shapes
+ * they created and anything on a layer assigned to them; viewers nothing.
+ * @param {object} session
+ * @param {object} shape
+ * @param {string} layerId the map layer the shape is on
+ */
+export function canEditShape(session, shape, layerId) {
+    if (session.role === ROLES.ADMIN) return true;
+    if (session.role !== ROLES.EDITOR) return false;
+    return shape?.properties?.owner === session.username || session.layers.includes(layerId);
+}
+
+class AuthService {
+    constructor() {
+        this.session = this.load();
+        this.listeners = new Set();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (stored && stored.token) {
+                return { ...GUEST_SESSION, ...stored, layers: Array.isArray(stored.layers) ? stored.layers : [] };
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable stored session:', error);
+        }
+        return GUEST_SESSION;
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    setSession(session) {
+        this.session = session;
+        try {
+            if (session.token) {
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+            } else {
+                localStorage.removeItem(STORAGE_KEY);
+            }
+        } catch (error) {
+            console.error('Failed to persist session:', error);
+        }
+        this.listeners.forEach(listener => listener(session));
+    }
+
+    getSession() {
+        return this.session;
+    }
+
+    isLoggedIn() {
+        return !!this.session.token;
+    }
+
+    getAuthHeaders() {
+        // Used both for fetch() calls and as STOMP CONNECT headers
+        return this.session.token ? { Authorization: `Bearer ${this.session.token}` } : {};
+    }
+
+    async login(username, password) {
+        const response = await fetch('/api/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        if (response.status === 401 || response.status === 403) {
+            throw new Error('Invalid username or password');
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const result = await response.json();
+        const role = Object.values(ROLES).includes(result.role) ? result.role : ROLES.VIEWER;
+        this.setSession({
+            token: result.token,
+            username: result.username || username,
+            role,
+            layers: Array.isArray(result.layers) ? result.layers : []
+        });
+        return this.session;
+    }
+
+    logout() {
+        this.setSession(GUEST_SESSION);
+    }
+}
+
+// Export a singleton instance of the service
+export default new AuthService();
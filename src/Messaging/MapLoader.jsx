@@ -1,9 +1,22 @@
 // MapLoader.jsx
 import WebSocketService from "./WebSocketService.jsx";
+import AuthService from "./AuthService.jsx";
+import { showToast } from "../Utils/Toasts.jsx";
+import { normalizeLayers } from "../Layers/LayerUtils.jsx";
+import { normalizeSettings } from "../Geometry/Measure.jsx";
+import { normalizeMap } from "../Maps/MapUtils.jsx";
 
-export async function loadInitialMapData() {
+/**
+ * Loads the bulkAdd packet of a map.
+ * @param {string|null} mapId null on servers that host a single map
+ */
+export async function loadInitialMapData(mapId = null) {
     try {
-        const response = await fetch('/api/getMaps');
+        const url = mapId == null ? '/api/getMaps' : `/api/getMaps?mapId=${encodeURIComponent(mapId)}`;
+        const response = await fetch(url, { headers: AuthService.getAuthHeaders() });
+        if (response.status === 401 || response.status === 403) {
+            showToast('Permission denied: you are not allowed to view this map', 'error');
+        }
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
@@ -15,8 +28,94 @@ export async function loadInitialMapData() {
     }
 }
 
-export function processBulkAddPacket(packet, setShapes) { // Removed applyStylesCallback
+export function processBulkAddPacket(packet, setShapes, setLayers, setSettings) { // Removed applyStylesCallback
     if (packet && packet.type === 'bulkAdd' && Array.isArray(packet.data)) {
         setShapes(packet.data);
+        // Layer definitions are optional so older servers keep working
+        if (setLayers && Array.isArray(packet.layers)) {
+            setLayers(normalizeLayers(packet.layers));
+        }
+        if (setSettings && packet.settings) {
+            setSettings(normalizeSettings(packet.settings));
+        }
+    }
+}
+
+/**
+ * The maps this server hosts.
+ * @returns {Promise<Array|null>} normalized map definitions, or null when the server has no map
+ *   list (servers hosting a single map) or it could not be loaded
+ */
+export async function loadMapList() {
+    try {
+        const response = await fetch('/api/maps', { headers: AuthService.getAuthHeaders() });
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const maps = await response.json();
+        return Array.isArray(maps) ? maps.filter(map => map && map.id != null).map(normalizeMap) : null;
+    } catch (error) {
+        console.error('Failed to load the map list:', error);
+        return null;
+    }
+}
+
+// Map management is admin-only on the server; failures are thrown for the caller to report
+const sendMapRequest = async (url, method, body) => {
+    const response = await fetch(url, {
+        method,
+        headers: { ...AuthService.getAuthHeaders(), 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    if (response.status === 401 || response.status === 403) {
+        throw new Error('Permission denied: only admins can manage maps');
+    }
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.status === 204 ? null : response.json();
+};
+
+/** Creates a map from `{ name, imageUrl, bounds }` and returns its definition. */
+export async function createMap(definition) {
+    return normalizeMap(await sendMapRequest('/api/maps', 'POST', definition));
+}
+
+/** Changes some fields of a map definition and returns the updated definition. */
+export async function updateMap(mapId, changes) {
+    return normalizeMap(await sendMapRequest(`/api/maps/${encodeURIComponent(mapId)}`, 'PUT', changes));
+}
+
+/** Deletes a map with all its shapes. */
+export async function deleteMap(mapId) {
+    await sendMapRequest(`/api/maps/${encodeURIComponent(mapId)}`, 'DELETE');
+}
+
+/**
+ * Uploads an SVG, PNG or JPEG base image for a map.
+ * @returns {Promise<string>} the URL the image is served from
+ */
+export async function uploadBaseImage(mapId, file) {
+    const body = new FormData();
+    body.append('file', file);
+    const response = await fetch(`/api/maps/${encodeURIComponent(mapId)}/images`, {
+        method: 'POST',
+        headers: AuthService.getAuthHeaders(),
+        body
+    });
+    if (response.status === 401 || response.status === 403) {
+        throw new Error('Permission denied: only admins can upload base images');
+    }
+    if (response.status === 413) {
+        throw new Error('The image is too large for the server');
+    }
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const { url } = await response.json();
+    if (typeof url !== 'string' || !url) {
+        throw new Error('The server did not say where the image is served from');
     }
+    return url;
 }
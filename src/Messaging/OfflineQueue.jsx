@@ -0,0 +1,75 @@
+// OfflineQueue.jsx
+
+const STORAGE_KEY = 'maprp.outbox';
+
+/**
+ * Outgoing map messages that could not be published because the socket was down.
+ * Persisted in localStorage so edits made offline survive a page reload, and replayed
+ * in their original order by WebSocketService once STOMP connects again.
+ */
+class OfflineQueue {
+    constructor() {
+        this.items = this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.error('Failed to read the offline queue, starting empty:', error);
+            return [];
+        }
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.items));
+        } catch (error) {
+            // Quota exceeded or storage disabled: keep the queue in memory for this session
+            console.error('Failed to persist the offline queue:', error);
+        }
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    toArray() {
+        return [...this.items];
+    }
+
+    enqueue(payload) {
+        const last = this.items[this.items.length - 1];
+        // A modify that directly follows a modify of the same shape supersedes it; anything
+        // further back is left alone so the replay order stays exactly as it happened.
+        if (last && payload.type === 'modify' && last.type === 'modify' && last.id === payload.id && last.mapId === payload.mapId) {
+            this.items[this.items.length - 1] = payload;
+        } else {
+            this.items.push(payload);
+        }
+        this.persist();
+    }
+
+    removeWhere(predicate) {
+        // Batches are searched too, and go as a whole when any of their messages matches: the
+        // rest of a grouped change replayed alone would leave the map half changed.
+        // The predicate also gets the queued entry a message is part of.
+        this.items = this.items.filter(payload => payload.type === 'batch'
+            ? !payload.data.some(message => predicate(message, payload))
+            : !predicate(payload, payload));
+        this.persist();
+    }
+
+    dequeue() {
+        const payload = this.items.shift();
+        this.persist();
+        return payload;
+    }
+}
+
+export default OfflineQueue;
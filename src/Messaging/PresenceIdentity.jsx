@@ -0,0 +1,35 @@
+// PresenceIdentity.jsx
+
+const STORAGE_KEY = 'maprp.presenceUser';
+const COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324', '#469990', '#808000'];
+
+/**
+ * The identity this browser shows to other editors: a stable random id, a display name and a colour.
+ * Kept in localStorage so the same person keeps the same colour across reloads.
+ * @returns {{ id: string, name: string, color: string }}
+ */
+export function getLocalUser() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored && stored.id && stored.name && stored.color) return stored;
+    } catch (error) {
+        console.warn('Ignoring unreadable presence identity:', error);
+    }
+
+    const id = `user-${Math.random().toString(36).slice(2, 10)}`;
+    const user = {
+        id,
+        name: `Guest ${id.slice(-4).toUpperCase()}`,
+        color: COLORS[Math.floor(Math.random() * COLORS.length)]
+    };
+    saveLocalUser(user);
+    return user;
+}
+
+export function saveLocalUser(user) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(user));
+    } catch (error) {
+        console.error('Failed to persist presence identity:', error);
+    }
+}
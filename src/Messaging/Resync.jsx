@@ -0,0 +1,79 @@
+// Resync.jsx
+import { isSameRevision } from "./Versioning.jsx";
+
+/**
+ * Collapses queued messages into the latest local state per shape id.
+ * `null` means the shape was removed locally; `created` marks shapes that never reached the server.
+ */
+function collectPendingStates(pendingMessages, pending = new Map()) {
+    pendingMessages.forEach(message => {
+        switch (message.type) {
+            case 'add':
+                pending.set(message.data.id, { state: message.data, created: true });
+                break;
+            case 'modify': {
+                const previous = pending.get(message.id);
+                pending.set(message.id, { state: { ...message.data, id: message.id }, created: !!previous?.created });
+                break;
+            }
+            case 'remove': {
+                const previous = pending.get(message.id);
+                pending.set(message.id, { state: null, created: !!previous?.created });
+                break;
+            }
+            case 'batch':
+                collectPendingStates(message.data, pending);
+                break;
+            default:
+                // bulkAdd, layers and settings messages replay as they are
+                break;
+        }
+    });
+    return pending;
+}
+
+/**
+ * Reconciles a freshly fetched server map with the edits this client made while disconnected.
+ *
+ * A shape is in conflict when it has unsent local changes and the server's copy moved on from
+ * the revision this client last saw (`knownShapes`). When that revision is unknown, e.g. after
+ * a reload with a persisted queue, any difference between the two sides counts as a conflict.
+ *
+ * @param {Array} serverShapes shapes from /api/getMaps
+ * @param {Map} knownShapes last server state seen per id before the outage
+ * @param {Array} pendingMessages queued outgoing messages, oldest first
+ * @returns {{ shapes: Array, conflicts: Array<{id, mine, theirs}> }} shapes to show (server state
+ *   with the local edits on top) and the conflicts whose queued messages must be held back
+ */
+export function reconcileWithServer(serverShapes, knownShapes, pendingMessages) {
+    const pending = collectPendingStates(pendingMessages);
+    const serverById = new Map(serverShapes.map(shape => [shape.id, shape]));
+    const conflicts = [];
+
+    pending.forEach(({ state: mine, created }, id) => {
+        const theirs = serverById.get(id) || null;
+        if (created && !theirs) return;
+
+        const hasKnownBase = knownShapes.has(id);
+        const remoteChanged = hasKnownBase
+            ? !isSameRevision(theirs, knownShapes.get(id))
+            : !isSameRevision(theirs, mine);
+
+        if (remoteChanged) {
+            conflicts.push({ id, mine, theirs });
+        }
+    });
+
+    // Server state first, then every local edit on top, conflicting ones included, so the
+    // user keeps seeing their own version until they decide.
+    const merged = new Map(serverById);
+    pending.forEach(({ state }, id) => {
+        if (state) {
+            merged.set(id, state);
+        } else {
+            merged.delete(id);
+        }
+    });
+
+    return { shapes: Array.from(merged.values()), conflicts };
+}
@@ -0,0 +1,29 @@
+// Versioning.jsx
+
+/**
+ * Returns a copy of the feature with its version bumped past both its own and the previous
+ * state's version, and `updatedAt` set to now. Every locally originated add/modify goes through
+ * here so reconnecting clients can tell which shapes changed on the server in the meantime.
+ * @param {object} feature the new state
+ * @param {object} [previous] the state it replaces, if any
+ */
+export function stampVersion(feature, previous) {
+    const version = Math.max(feature.properties?.version || 0, previous?.properties?.version || 0) + 1;
+    return {
+        ...feature,
+        properties: { ...feature.properties, version, updatedAt: Date.now() }
+    };
+}
+
+/**
+ * Whether two states of a shape are the same revision. Versions decide when both carry one;
+ * shapes from before versioning existed fall back to a structural comparison.
+ */
+export function isSameRevision(a, b) {
+    if (!a || !b) return a === b;
+    const versionA = a.properties?.version;
+    const versionB = b.properties?.version;
+    if (versionA != null && versionB != null) return versionA === versionB;
+    return JSON.stringify(a.geometry) === JSON.stringify(b.geometry) &&
+        JSON.stringify(a.properties) === JSON.stringify(b.properties);
+}
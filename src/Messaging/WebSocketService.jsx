@@ -1,26 +1,76 @@
 import SockJS from 'sockjs-client';
 import { Client } from '@stomp/stompjs';
+import OfflineQueue from "./OfflineQueue.jsx";
+import AuthService from "./AuthService.jsx";
+import { showToast } from "../Utils/Toasts.jsx";
+
+const PERMISSION_ERROR = /denied|forbidden|unauthori[sz]ed|permission/i;
 
 class WebSocketService {
     constructor() {
         this.client = null;
         this.subscription = null;
         this.messageCallback = null;
+        this.presenceSubscription = null;
+        this.presenceCallback = null;
+        this.queue = new OfflineQueue();
+        this.status = 'disconnected'; // 'connecting' | 'connected' | 'disconnected'
+        this.statusListeners = new Set();
+        this.reconnectCallback = null;
+        this.hasConnected = false;
+        this.isResyncing = false;
+        this.mapId = null; // null on servers hosting a single map, which use the bare topics
+    }
+
+    setMapId(mapId) {
+        // Takes effect on the next connect: the topics are subscribed in onConnect
+        this.mapId = mapId;
+    }
+
+    mapDestination(base, mapId = this.mapId) {
+        return mapId == null ? base : `${base}/${encodeURIComponent(mapId)}`;
+    }
+
+    subscribeStatus(listener) {
+        // Listeners receive { status, pending } whenever either of them changes
+        this.statusListeners.add(listener);
+        listener(this.getStatus());
+        return () => this.statusListeners.delete(listener);
+    }
+
+    getStatus() {
+        return { status: this.status, pending: this.queue.size };
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.notifyStatus();
+    }
+
+    notifyStatus() {
+        const current = this.getStatus();
+        this.statusListeners.forEach(listener => listener(current));
     }
 
     connect(callback) {
         if (this.client) return;
 
-        // Ensure the WebSocket URL is correct for your environment
-        const socket = new SockJS('/api/ws');
+        this.setStatus('connecting');
+
         this.client = new Client({
-            webSocketFactory: () => socket,
+            // Ensure the WebSocket URL is correct for your environment
+            // A fresh socket per attempt: a closed SockJS instance can't be reopened on reconnect
+            webSocketFactory: () => new SockJS('/api/ws'),
+            beforeConnect: () => {
+                // Read on every (re)connect so a login or logout takes effect on the next CONNECT
+                this.client.connectHeaders = AuthService.getAuthHeaders();
+            },
             reconnectDelay: 5000, // Time in milliseconds to wait before attempting to reconnect
             debug: (str) => console.debug(str), // For debugging STOMP communication
             onConnect: () => {
                 console.log('WebSocket connected');
-                // Subscribe to the topic where map updates are published
-                this.subscription = this.client.subscribe('/topic/mapUpdate', (message) => {
+                // Subscribe to the topic where updates of the open map are published
+                this.subscription = this.client.subscribe(this.mapDestination('/topic/mapUpdate'), (message) => {
                     if (this.messageCallback) {
                         try {
                             const parsedMessage = JSON.parse(message.body);
@@ -30,6 +80,18 @@ class WebSocketService {
                         }
                     }
                 });
+                // Presence is a separate channel: cursors and selections are ephemeral and never queued
+                this.presenceSubscription = this.client.subscribe(this.mapDestination('/topic/presence'), (message) => {
+                    if (this.presenceCallback) {
+                        try {
+                            this.presenceCallback(JSON.parse(message.body));
+                        } catch (error) {
+                            console.error("Failed to parse presence message:", message.body, error);
+                        }
+                    }
+                });
+                this.setStatus('connected');
+                this.resyncAndFlush();
                 if (callback) callback(); // Optional callback after connection
             },
             onStompError: (frame) => {
@@ -37,11 +99,21 @@ class WebSocketService {
                 // Bad login/passcode typically will cause an ERROR frame
                 console.error('Broker reported error: ' + frame.headers['message']);
                 console.error('Additional details: ' + frame.body);
+                const reason = frame.headers['message'] || frame.body || 'unknown error';
+                if (PERMISSION_ERROR.test(`${frame.headers['message']} ${frame.body}`)) {
+                    showToast(`Permission denied: ${reason}`, 'error');
+                } else {
+                    showToast(`Server error: ${reason}`, 'error');
+                }
             },
             onWebSocketError: (event) => {
                 // Will be invoked if the WebSocket connection itself encounters an error
                 console.error('WebSocket error:', event);
             },
+            onWebSocketClose: () => {
+                // The client retries on its own after reconnectDelay
+                if (this.client) this.setStatus('connecting');
+            },
             onDisconnect: () => {
                 console.log('WebSocket disconnected');
             }
@@ -50,20 +122,62 @@ class WebSocketService {
         this.client.activate(); // Initiate the connection
     }
 
-    registerMessageHandler(callback) {
-        // Registers a callback function to handle incoming messages
-        this.messageCallback = callback;
+    registerReconnectHandler(callback) {
+        // Called with the queued messages after a reconnect (or a connect with a persisted queue),
+        // before any of them is replayed. May return a promise; replay waits for it.
+        this.reconnectCallback = callback;
     }
 
-    sendMessage(type, data, id) {
-        // Check if the Stomp client is initialized and connected
-        if (!this.client || !this.client.connected) {
-            console.warn('WebSocket not connected. Message not sent:', { type, data, id });
+    resyncAndFlush() {
+        const needsResync = this.hasConnected || this.queue.size > 0;
+        this.hasConnected = true;
+
+        if (!needsResync || !this.reconnectCallback) {
+            this.flushQueue();
             return;
         }
 
-        console.log("Sending message:", { type, data, id });
+        this.isResyncing = true;
+        Promise.resolve()
+            // Only this map's messages are reconciled against its shapes; the others replay untouched
+            .then(() => this.reconnectCallback(this.queue.toArray().filter(message => this.queuedMapId(message) === this.mapId)))
+            .catch(error => console.error('Resync after reconnect failed, replaying queue as is:', error))
+            .finally(() => {
+                this.isResyncing = false;
+                this.flushQueue();
+            });
+    }
+
+    queuedMapId(message) {
+        // Messages queued before maps existed belong to whichever map is open
+        return message.mapId === undefined ? this.mapId : message.mapId;
+    }
+
+    removeQueued(predicate) {
+        // Lets the resync hold back messages, and the batches they are part of, for shapes that are in conflict on this map
+        this.queue.removeWhere((message, entry) => this.queuedMapId(entry) === this.mapId && predicate(message));
+        this.notifyStatus();
+    }
+
+    registerPresenceHandler(callback) {
+        this.presenceCallback = callback;
+    }
+
+    sendPresence(presence) {
+        // Dropped silently when offline, the next update or heartbeat replaces it anyway
+        if (!this.client || !this.client.connected) return;
+        this.client.publish({
+            destination: this.mapDestination('/app/presence'),
+            body: JSON.stringify(presence)
+        });
+    }
+
+    registerMessageHandler(callback) {
+        // Registers a callback function to handle incoming messages
+        this.messageCallback = callback;
+    }
 
+    buildPayload(type, data, id) {
         let messagePayload;
         switch (type) {
             case 'add':
@@ -89,24 +203,108 @@ class WebSocketService {
                 }
                 messagePayload = { type: 'bulkAdd', data };
                 break;
+            case 'layers':
+                // For replacing the layer definitions
+                // 'data' is the full, ordered array of layer definitions
+                if (!Array.isArray(data)) {
+                    console.error('Invalid data for layers: Expected an array.', data);
+                    return;
+                }
+                messagePayload = { type: 'layers', data };
+                break;
+            case 'settings':
+                // For replacing the map-wide settings, e.g. the scale
+                if (!data || typeof data !== 'object') {
+                    console.error('Invalid data for settings: Expected an object.', data);
+                    return;
+                }
+                messagePayload = { type: 'settings', data };
+                break;
+            case 'batch': {
+                // For several shape changes the server must apply together, e.g. both sides of a shared border
+                // 'data' is an array of { type, data, id }, the same arguments sendMessage takes
+                if (!Array.isArray(data)) {
+                    console.error('Invalid data for batch: Expected an array.', data);
+                    return;
+                }
+                const messages = data.map(message => ['add', 'modify', 'remove'].includes(message.type)
+                    ? this.buildPayload(message.type, message.data, message.id)
+                    : null);
+                if (messages.some(message => !message)) {
+                    console.error('Invalid data for batch: Only add, modify and remove can be batched.', data);
+                    return;
+                }
+                messagePayload = { type: 'batch', data: messages };
+                break;
+            }
             default:
                 console.error('Invalid message type:', type);
                 return;
         }
+        return messagePayload;
+    }
+
+    sendMessage(type, data, id) {
+        const messagePayload = this.buildPayload(type, data, id);
+        if (!messagePayload) return;
 
-        // Publish the message to the destination '/app/mapUpdate'
+        // Queued messages remember their map, the user may have switched maps by the time they are sent
+        const queuedPayload = { ...messagePayload, mapId: this.mapId };
+
+        // Check if the Stomp client is initialized and connected
+        if (!this.client || !this.client.connected) {
+            console.warn('WebSocket not connected. Message queued:', messagePayload);
+            this.queue.enqueue(queuedPayload);
+            this.notifyStatus();
+            return;
+        }
+        if (this.queue.size > 0 || this.isResyncing) {
+            // Earlier messages are still waiting; go behind them to keep the order
+            this.queue.enqueue(queuedPayload);
+            if (this.isResyncing) {
+                this.notifyStatus();
+            } else {
+                this.flushQueue();
+            }
+            return;
+        }
+
+        console.log("Sending message:", messagePayload);
+        this.publish(messagePayload);
+    }
+
+    publish(messagePayload) {
+        // Publish the message to the destination '/app/mapUpdate/{mapId}' of the map it was made on
         // The server-side STOMP endpoint should be configured to handle this destination
+        const { mapId = this.mapId, ...payload } = messagePayload;
         this.client.publish({
-            destination: '/app/mapUpdate',
-            body: JSON.stringify(messagePayload)
+            destination: this.mapDestination('/app/mapUpdate', mapId),
+            body: JSON.stringify(payload)
         });
     }
 
+    flushQueue() {
+        // Replays queued messages in order; stops early if the connection drops again
+        while (this.queue.size > 0 && this.client && this.client.connected) {
+            const messagePayload = this.queue.peek();
+            try {
+                this.publish(messagePayload);
+            } catch (error) {
+                console.error('Failed to replay queued message, will retry on next connect:', messagePayload, error);
+                break;
+            }
+            this.queue.dequeue();
+        }
+        this.notifyStatus();
+    }
+
     disconnect() {
         // Deactivates the client, cleaning up the connection
         if (this.client) {
             this.client.deactivate();
             this.client = null;
+            this.hasConnected = false;
+            this.setStatus('disconnected');
             console.log('WebSocket service deactivated.');
         }
     }
@@ -1,6 +1,6 @@
 import "./Actions.css";
 
-export default function FoldSidebar({ show, setShow }) {
+export default function FoldSidebar({ show, setShow, children }) {
     return (
         <div className="buttonsList">
             <button
@@ -31,6 +31,21 @@ export default function FoldSidebar({ show, setShow }) {
                     />
                 </svg>
             </button>
+            {children}
         </div>
     );
 }
+
+export function ActionButton({ active = false, disabled = false, onClick, label, children }) {
+    return (
+        <button
+            className={`search-button ${active ? "active" : ""}`}
+            onClick={onClick}
+            disabled={disabled}
+            aria-label={label}
+            title={label}
+        >
+            {children}
+        </button>
+    );
+}
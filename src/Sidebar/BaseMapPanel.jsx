@@ -0,0 +1,183 @@
+import React, { useRef } from 'react';
+
+const iconButtonStyle = {
+    background: 'none',
+    border: 'none',
+    cursor: 'pointer',
+    color: '#555',
+    padding: '2px 4px',
+    fontSize: '14px',
+    lineHeight: 1
+};
+
+const smallButtonStyle = {
+    padding: '4px 8px',
+    borderRadius: '4px',
+    border: '1px solid #ccc',
+    background: '#fff',
+    cursor: 'pointer'
+};
+
+const ACCEPTED_TYPES = 'image/svg+xml,image/png,image/jpeg';
+
+/**
+ * Uploads, stacks and georeferences the base images of the open map. Changes are a draft shown
+ * on the map until saved with the map definition.
+ * @param {{ images: Array, canSave: boolean, isDirty: boolean, isUploading: boolean, selectedId: (string|null),
+ *   mode: ('corners'|'points'), controlPoints: Array, onSelect: (id: (string|null)) => void, onModeChange: (mode: string) => void,
+ *   onUpload: (file: File) => void, onChange: (images: Array) => void, onApplyControlPoints: () => void,
+ *   onClearControlPoints: () => void, onSave: () => void, onDiscard: () => void, onClose: () => void }} props
+ *   images bottom one first; canSave is false on servers hosting a single map, where nothing can be stored
+ */
+function BaseMapPanel({ images, canSave, isDirty, isUploading, selectedId, mode, controlPoints, onSelect, onModeChange, onUpload, onChange, onApplyControlPoints, onClearControlPoints, onSave, onDiscard, onClose }) {
+    const fileInputRef = useRef(null);
+    // Top-most image first, like the layer list
+    const displayedImages = [...images].reverse();
+    const matchedPoints = controlPoints.filter(pair => pair.map).length;
+
+    const updateImage = (id, changes) => onChange(images.map(image => image.id === id ? { ...image, ...changes } : image));
+
+    const moveImage = (id, direction) => {
+        const index = images.findIndex(image => image.id === id);
+        const target = index + direction;
+        if (target < 0 || target >= images.length) return;
+        const reordered = [...images];
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+        onChange(reordered);
+    };
+
+    return (
+        <div style={{
+            position: 'absolute',
+            bottom: '20px',
+            left: '70px',
+            width: '340px',
+            maxHeight: '70vh',
+            background: '#ffffff',
+            borderRadius: '12px',
+            boxShadow: '0 8px 24px rgba(0,0,0,0.25)',
+            display: 'flex',
+            flexDirection: 'column',
+            zIndex: 1000,
+            overflow: 'hidden',
+            fontSize: '14px',
+            color: '#333'
+        }}>
+            <div style={{
+                padding: '12px 16px',
+                borderBottom: '1px solid #e0e0e0',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                backgroundColor: '#f8f8f8'
+            }}>
+                <h2 style={{ fontSize: '18px', fontWeight: 'bold', color: '#2c3e50', margin: 0 }}>Base map</h2>
+                <button onClick={onClose} style={{ ...iconButtonStyle, fontSize: '22px', color: '#666' }} aria-label="Close base map">
+                    &times;
+                </button>
+            </div>
+
+            <div style={{ padding: '12px 16px', display: 'flex', flexDirection: 'column', gap: '10px', overflowY: 'auto' }}>
+                {!canSave && (
+                    <p style={{ margin: 0, color: '#666' }}>This server hosts a single map, its base image can't be changed from here.</p>
+                )}
+                {images.length === 0 && <p style={{ margin: 0, color: '#666' }}>No base image.</p>}
+
+                {displayedImages.map((image, index) => {
+                    const isSelected = image.id === selectedId;
+                    return (
+                        <div key={image.id} style={{ padding: '8px', borderRadius: '6px', background: isSelected ? '#f0f4f8' : '#f8f8f8' }}>
+                            <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                <input
+                                    type="text"
+                                    value={image.name}
+                                    onChange={(e) => updateImage(image.id, { name: e.target.value })}
+                                    disabled={!canSave}
+                                    aria-label="Image name"
+                                    style={{ flex: 1, minWidth: 0, padding: '2px 4px' }}
+                                />
+                                <button onClick={() => moveImage(image.id, 1)} disabled={!canSave || index === 0} style={iconButtonStyle} title="Bring forward">▲</button>
+                                <button onClick={() => moveImage(image.id, -1)} disabled={!canSave || index === displayedImages.length - 1} style={iconButtonStyle} title="Send backward">▼</button>
+                                <button
+                                    onClick={() => onChange(images.filter(i => i.id !== image.id))}
+                                    disabled={!canSave}
+                                    style={iconButtonStyle}
+                                    title="Remove image"
+                                >
+                                    &times;
+                                </button>
+                            </div>
+                            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '6px', fontSize: '13px' }}>
+                                Opacity
+                                <input
+                                    type="range"
+                                    min={0}
+                                    max={1}
+                                    step={0.05}
+                                    value={image.opacity}
+                                    onChange={(e) => updateImage(image.id, { opacity: Number(e.target.value) })}
+                                    disabled={!canSave}
+                                    style={{ flex: 1 }}
+                                />
+                                {Math.round(image.opacity * 100)}%
+                            </label>
+                            {canSave && (
+                                <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+                                    <button
+                                        onClick={() => isSelected && mode === 'corners' ? onSelect(null) : (onSelect(image.id), onModeChange('corners'))}
+                                        style={{ ...smallButtonStyle, fontWeight: isSelected && mode === 'corners' ? '600' : 'normal' }}
+                                    >
+                                        Drag corners
+                                    </button>
+                                    <button
+                                        onClick={() => isSelected && mode === 'points' ? onSelect(null) : (onSelect(image.id), onModeChange('points'))}
+                                        style={{ ...smallButtonStyle, fontWeight: isSelected && mode === 'points' ? '600' : 'normal' }}
+                                    >
+                                        Match points
+                                    </button>
+                                </div>
+                            )}
+                            {isSelected && mode === 'points' && (
+                                <div style={{ marginTop: '6px', fontSize: '13px', color: '#555' }}>
+                                    <p style={{ margin: '0 0 6px' }}>
+                                        Click a spot on the image, then where it belongs on the map. Two points or more,
+                                        far apart, place the image.
+                                    </p>
+                                    <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+                                        <span style={{ flex: 1 }}>{matchedPoints} matched</span>
+                                        <button onClick={onClearControlPoints} disabled={controlPoints.length === 0} style={smallButtonStyle}>Clear</button>
+                                        <button onClick={onApplyControlPoints} disabled={matchedPoints < 2} style={smallButtonStyle}>Apply</button>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+
+                {canSave && (
+                    <>
+                        <input
+                            ref={fileInputRef}
+                            type="file"
+                            accept={ACCEPTED_TYPES}
+                            onChange={(e) => {
+                                if (e.target.files[0]) onUpload(e.target.files[0]);
+                                e.target.value = '';
+                            }}
+                            style={{ display: 'none' }}
+                        />
+                        <button onClick={() => fileInputRef.current.click()} disabled={isUploading} style={smallButtonStyle}>
+                            {isUploading ? 'Uploading…' : 'Upload an image (SVG, PNG, JPEG)'}
+                        </button>
+                        <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end', borderTop: '1px solid #e0e0e0', paddingTop: '10px' }}>
+                            <button onClick={onDiscard} disabled={!isDirty} style={smallButtonStyle}>Discard</button>
+                            <button onClick={onSave} disabled={!isDirty} style={{ ...smallButtonStyle, fontWeight: '600' }}>Save for everyone</button>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default BaseMapPanel;
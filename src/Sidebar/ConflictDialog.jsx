@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+
+// Bookkeeping fields that always differ and are bumped on resolve anyway
+const IGNORED_PROPERTIES = new Set(['version', 'updatedAt']);
+
+const describeValue = (value) => {
+    if (value === undefined) return '(none)';
+    const text = typeof value === 'string' ? value.replace(/<[^>]*>/g, ' ') : JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+};
+
+const describeShape = (shape) => shape ? `${shape.properties.name || 'Unnamed'} (version ${shape.properties.version ?? '?'})` : 'deleted';
+
+function ConflictDialog({ conflicts, onResolve }) {
+    const conflict = conflicts[0];
+    const { mine, theirs } = conflict;
+    const canMerge = !!(mine && theirs);
+
+    const geometryDiffers = canMerge && JSON.stringify(mine.geometry) !== JSON.stringify(theirs.geometry);
+    const differingKeys = canMerge
+        ? Array.from(new Set([...Object.keys(mine.properties), ...Object.keys(theirs.properties)]))
+            .filter(key => !IGNORED_PROPERTIES.has(key) && JSON.stringify(mine.properties[key]) !== JSON.stringify(theirs.properties[key]))
+        : [];
+
+    // Per-field picks for the merge, defaulting to the local edit
+    const [picks, setPicks] = useState({});
+    const pick = (key) => picks[key] || 'mine';
+
+    const handleMerge = () => {
+        const properties = { ...theirs.properties };
+        differingKeys.forEach(key => {
+            if (pick(key) === 'mine') {
+                if (key in mine.properties) {
+                    properties[key] = mine.properties[key];
+                } else {
+                    delete properties[key];
+                }
+            }
+        });
+        onResolve(conflict, {
+            ...theirs,
+            geometry: pick('geometry') === 'mine' ? mine.geometry : theirs.geometry,
+            properties
+        });
+    };
+
+    const renderChoice = (key, label, mineText, theirsText) => (
+        <tr key={key}>
+            <td style={{ padding: '4px 8px 4px 0', fontWeight: '500', verticalAlign: 'top' }}>{label}</td>
+            {['mine', 'theirs'].map(side => (
+                <td key={side} style={{ padding: '4px 8px', verticalAlign: 'top' }}>
+                    <label style={{ display: 'flex', gap: '4px', cursor: 'pointer' }}>
+                        <input
+                            type="radio"
+                            name={`pick-${conflict.id}-${key}`}
+                            checked={pick(key) === side}
+                            onChange={() => setPicks(prev => ({ ...prev, [key]: side }))}
+                        />
+                        <span style={{ color: '#555', wordBreak: 'break-word' }}>{side === 'mine' ? mineText : theirsText}</span>
+                    </label>
+                </td>
+            ))}
+        </tr>
+    );
+
+    const buttonStyle = { padding: '8px 16px', borderRadius: '4px', border: '1px solid #ccc', cursor: 'pointer', background: '#fff' };
+
+    return (
+        <div style={{
+            position: 'fixed',
+            top: '50%',
+            left: '50%',
+            transform: 'translate(-50%, -50%)',
+            width: '480px',
+            maxHeight: '80vh',
+            background: '#ffffff',
+            borderRadius: '12px',
+            boxShadow: '0 8px 24px rgba(0,0,0,0.25)',
+            display: 'flex',
+            flexDirection: 'column',
+            zIndex: 1100,
+            overflow: 'hidden',
+            fontSize: '14px',
+            color: '#333'
+        }}>
+            <div style={{ padding: '16px 24px', borderBottom: '1px solid #e0e0e0', backgroundColor: '#f8f8f8' }}>
+                <h2 style={{ fontSize: '20px', fontWeight: 'bold', color: '#2c3e50', margin: 0 }}>
+                    Edit conflict {conflicts.length > 1 ? `(1 of ${conflicts.length})` : ''}
+                </h2>
+                <p style={{ margin: '6px 0 0', color: '#666' }}>
+                    This shape was changed by someone else while you were offline.
+                </p>
+            </div>
+
+            <div style={{ flexGrow: 1, overflowY: 'auto', padding: '16px 24px' }}>
+                <p style={{ margin: '0 0 4px' }}><b>Mine:</b> {describeShape(mine)}</p>
+                <p style={{ margin: '0 0 12px' }}><b>Theirs:</b> {describeShape(theirs)}</p>
+
+                {canMerge && (geometryDiffers || differingKeys.length > 0) && (
+                    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                        <thead>
+                            <tr style={{ textAlign: 'left', color: '#2c3e50' }}>
+                                <th style={{ padding: '4px 8px 4px 0' }}>Field</th>
+                                <th style={{ padding: '4px 8px' }}>Mine</th>
+                                <th style={{ padding: '4px 8px' }}>Theirs</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {geometryDiffers && renderChoice('geometry', 'Geometry', 'my shape', 'their shape')}
+                            {differingKeys.map(key => renderChoice(
+                                key,
+                                key,
+                                describeValue(mine.properties[key]),
+                                describeValue(theirs.properties[key])
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', padding: '12px 24px', borderTop: '1px solid #e0e0e0' }}>
+                <button onClick={() => onResolve(conflict, mine)} style={buttonStyle}>Keep mine</button>
+                <button onClick={() => onResolve(conflict, theirs)} style={buttonStyle}>Keep theirs</button>
+                {canMerge && (
+                    <button
+                        onClick={handleMerge}
+                        style={{ ...buttonStyle, border: 'none', background: '#1a73e8', color: '#fff', fontWeight: '600' }}
+                    >
+                        Merge selected
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default ConflictDialog;
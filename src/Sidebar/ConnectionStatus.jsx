@@ -0,0 +1,62 @@
+import { useEffect, useState } from 'react';
+import WebSocketService from "../Messaging/WebSocketService.jsx";
+
+const STATUS_DISPLAY = {
+    connected: { color: '#2ecc71', label: 'Connected' },
+    connecting: { color: '#f39c12', label: 'Reconnecting...' },
+    disconnected: { color: '#e74c3c', label: 'Offline' }
+};
+
+export default function ConnectionStatus() {
+    const [{ status, pending }, setConnection] = useState(WebSocketService.getStatus());
+
+    useEffect(() => WebSocketService.subscribeStatus(setConnection), []);
+
+    const display = STATUS_DISPLAY[status] || STATUS_DISPLAY.disconnected;
+
+    // Stay out of the way while everything is in sync
+    if (status === 'connected' && pending === 0) {
+        return (
+            <div title="Connected" style={{
+                position: 'absolute',
+                top: '12px',
+                left: '50%',
+                transform: 'translateX(-50%)',
+                zIndex: 1000,
+                width: '10px',
+                height: '10px',
+                borderRadius: '50%',
+                background: display.color,
+                boxShadow: '0 0 0 3px rgba(255,255,255,0.9)'
+            }} />
+        );
+    }
+
+    return (
+        <div style={{
+            position: 'absolute',
+            top: '10px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            zIndex: 1000,
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+            padding: '6px 14px',
+            borderRadius: '16px',
+            background: '#ffffff',
+            boxShadow: '0 2px 8px rgba(0, 0, 0, 0.15)',
+            fontSize: '13px',
+            color: '#2c3e50',
+            fontFamily: 'Inter, sans-serif'
+        }}>
+            <span style={{ width: '10px', height: '10px', borderRadius: '50%', background: display.color }} />
+            <span>{display.label}</span>
+            {pending > 0 && (
+                <span style={{ color: '#666' }}>
+                    {pending} pending change{pending === 1 ? '' : 's'}
+                </span>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,53 @@
+import { useEffect, useRef } from 'react';
+import { useQuill } from 'react-quilljs';
+import 'quill/dist/quill.snow.css';
+import { sanitizeHtml } from "../Utils/Html.jsx";
+
+const modules = {
+    toolbar: [
+        [{ header: [1, 2, 3, false] }],
+        ['bold', 'italic', 'underline', 'strike'],
+        [{ list: 'ordered' }, { list: 'bullet' }],
+        ['link', 'blockquote'],
+        ['clean']
+    ]
+};
+const formats = ['header', 'bold', 'italic', 'underline', 'strike', 'list', 'indent', 'link', 'blockquote'];
+
+// Mount with `key={shape.id}`: the initial value is only loaded once per editor instance,
+// so typing is never interrupted by our own modify messages echoing back.
+export default function DescriptionEditor({ value, onChange, readOnly = false }) {
+    const { quill, quillRef } = useQuill({ theme: 'snow', modules, formats, placeholder: 'Lore, history, notes...' });
+    const initialValueRef = useRef(value);
+    const onChangeRef = useRef(onChange);
+
+    useEffect(() => {
+        onChangeRef.current = onChange;
+    }, [onChange]);
+
+    useEffect(() => {
+        if (!quill) return;
+
+        quill.clipboard.dangerouslyPasteHTML(sanitizeHtml(initialValueRef.current), 'silent');
+
+        const handleTextChange = (delta, oldDelta, source) => {
+            if (source !== 'user') return;
+            // An empty Quill document still contains a trailing newline
+            const html = quill.getLength() > 1 ? sanitizeHtml(quill.root.innerHTML) : '';
+            onChangeRef.current(html);
+        };
+
+        quill.on('text-change', handleTextChange);
+        return () => quill.off('text-change', handleTextChange);
+    }, [quill]);
+
+    useEffect(() => {
+        if (quill) quill.enable(!readOnly);
+    }, [quill, readOnly]);
+
+    return (
+        <div style={{ marginTop: '4px', background: '#fff' }}>
+            <div ref={quillRef} style={{ minHeight: '120px', fontSize: '14px' }} />
+        </div>
+    );
+}
@@ -0,0 +1,108 @@
+import React from 'react';
+import { DIFF_COLORS } from "../Geometry/GeoJsonUtils.jsx";
+
+const PROPERTY_LABELS = {
+    name: 'Name',
+    color: 'Color',
+    customType: 'Line type',
+    customFillType: 'Fill type'
+};
+
+const sectionTitleStyle = { fontSize: '15px', fontWeight: 'bold', margin: '0 0 4px' };
+const listStyle = { margin: 0, paddingLeft: '18px', display: 'flex', flexDirection: 'column', gap: '4px' };
+const linkStyle = { background: 'none', border: 'none', padding: 0, cursor: 'pointer', color: '#1a73e8', textAlign: 'left', font: 'inherit' };
+
+const shapeName = (shape) => shape.properties.name || `${shape.properties.type || shape.geometry.type} ${shape.id}`;
+
+const formatValue = (key, value) => {
+    if (value == null || value === '') return '(none)';
+    if (key === 'color') {
+        return <><span style={{ display: 'inline-block', width: '10px', height: '10px', background: value, border: '1px solid #999', marginRight: '4px' }}/>{value}</>;
+    }
+    return String(value);
+};
+
+/**
+ * Lists the differences between two map states next to the DiffLayer drawing them.
+ * @param {{ title: string, diff: object, onFocus: (shape: object) => void, onClose: () => void }} props
+ *   diff comes from compareShapeSets; onFocus pans the map to a shape
+ */
+function DiffPanel({ title, diff, onFocus, onClose }) {
+    const isEmpty = !diff.added.length && !diff.removed.length && !diff.changed.length;
+
+    const section = (label, color, shapes) => shapes.length > 0 && (
+        <div>
+            <h3 style={{ ...sectionTitleStyle, color }}>{label} ({shapes.length})</h3>
+            <ul style={listStyle}>
+                {shapes.map(shape => (
+                    <li key={shape.id}><button onClick={() => onFocus(shape)} style={linkStyle}>{shapeName(shape)}</button></li>
+                ))}
+            </ul>
+        </div>
+    );
+
+    return (
+        <div style={{
+            position: 'absolute',
+            top: '20px',
+            right: '20px',
+            width: '300px',
+            maxHeight: '70vh',
+            background: '#ffffff',
+            borderRadius: '12px',
+            boxShadow: '0 8px 24px rgba(0,0,0,0.25)',
+            display: 'flex',
+            flexDirection: 'column',
+            zIndex: 1000,
+            overflow: 'hidden',
+            fontSize: '14px',
+            color: '#333'
+        }}>
+            <div style={{
+                padding: '12px 16px',
+                borderBottom: '1px solid #e0e0e0',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                backgroundColor: '#f8f8f8'
+            }}>
+                <h2 style={{ fontSize: '18px', fontWeight: 'bold', color: '#2c3e50', margin: 0 }}>{title}</h2>
+                <button onClick={onClose} style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: '22px', color: '#666', lineHeight: 1 }} aria-label="Close differences">
+                    &times;
+                </button>
+            </div>
+
+            <div style={{ padding: '12px 16px', display: 'flex', flexDirection: 'column', gap: '12px', overflowY: 'auto' }}>
+                {isEmpty ? (
+                    <p style={{ margin: 0, color: '#666' }}>No differences.</p>
+                ) : (
+                    <>
+                        {section('Added', DIFF_COLORS.added, diff.added)}
+                        {section('Removed', DIFF_COLORS.removed, diff.removed)}
+                        {diff.changed.length > 0 && (
+                            <div>
+                                <h3 style={{ ...sectionTitleStyle, color: DIFF_COLORS.modified }}>Changed ({diff.changed.length})</h3>
+                                <ul style={listStyle}>
+                                    {diff.changed.map(({ after, geometryChanged, propertyChanges, otherPropertiesChanged }) => (
+                                        <li key={after.id}>
+                                            <button onClick={() => onFocus(after)} style={linkStyle}>{shapeName(after)}</button>
+                                            <ul style={{ margin: '2px 0 0', paddingLeft: '14px', color: '#555', fontSize: '13px' }}>
+                                                {geometryChanged && <li>Shape or position</li>}
+                                                {propertyChanges.map(({ key, before, after: value }) => (
+                                                    <li key={key}>{PROPERTY_LABELS[key]}: {formatValue(key, before)} &rarr; {formatValue(key, value)}</li>
+                                                ))}
+                                                {otherPropertiesChanged && <li>Other details</li>}
+                                            </ul>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default DiffPanel;
@@ -0,0 +1,32 @@
+import { useEffect, useState } from 'react';
+import HistoryService from "../History/HistoryService.jsx";
+import { ActionButton } from "./Actions.jsx";
+
+export default function HistoryButtons({ onUndo, onRedo }) {
+    const [canUndo, setCanUndo] = useState(HistoryService.canUndo());
+    const [canRedo, setCanRedo] = useState(HistoryService.canRedo());
+
+    useEffect(() => {
+        return HistoryService.subscribe(() => {
+            setCanUndo(HistoryService.canUndo());
+            setCanRedo(HistoryService.canRedo());
+        });
+    }, []);
+
+    return (
+        <>
+            <ActionButton onClick={onUndo} disabled={!canUndo} label="Undo (Ctrl+Z)">
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M9 14L4 9L9 4" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                    <path d="M4 9H14.5C17.5376 9 20 11.4624 20 14.5C20 17.5376 17.5376 20 14.5 20H11" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                </svg>
+            </ActionButton>
+            <ActionButton onClick={onRedo} disabled={!canRedo} label="Redo (Ctrl+Shift+Z)">
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M15 14L20 9L15 4" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                    <path d="M20 9H9.5C6.46243 9 4 11.4624 4 14.5C4 17.5376 6.46243 20 9.5 20H13" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                </svg>
+            </ActionButton>
+        </>
+    );
+}
@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import { applyImport, previewImport } from "../Geometry/GeoJsonUtils.jsx";
+
+const sectionTitleStyle = { fontSize: '15px', fontWeight: 'bold', color: '#2c3e50', margin: '12px 0 4px' };
+const listStyle = { margin: 0, paddingLeft: '20px', maxHeight: '120px', overflowY: 'auto', color: '#555' };
+
+const featureLabel = (feature) => `${feature.properties.name} (${feature.geometry.type}, id ${feature.id})`;
+
+/**
+ * @param {{ shapes: Array, hidden: boolean, onImport: Function, onShowDiff: (mergedShapes: Array) => void, onClose: () => void }} props
+ *   hidden keeps the chosen file and options while the differences are shown on the map
+ */
+function ImportDialog({ shapes, hidden, onImport, onShowDiff, onClose }) {
+    const [fileName, setFileName] = useState('');
+    const [collection, setCollection] = useState(null);
+    const [preview, setPreview] = useState(null);
+    const [error, setError] = useState(null);
+    const [conflictStrategy, setConflictStrategy] = useState('copy');
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        setFileName(file.name);
+        setError(null);
+        setPreview(null);
+        try {
+            const parsed = JSON.parse(await file.text());
+            setCollection(parsed);
+            setPreview(previewImport(parsed, shapes));
+        } catch (err) {
+            console.error('Failed to read GeoJSON file:', err);
+            setError(`Could not parse ${file.name}: ${err.message}`);
+        }
+    };
+
+    const importCount = preview
+        ? preview.added.length + preview.changed.length + (conflictStrategy === 'skip' ? 0 : preview.conflicts.length)
+        : 0;
+
+    const handleImport = () => {
+        const { shapes: mergedShapes, changes } = applyImport(preview, shapes, conflictStrategy);
+        onImport(mergedShapes, changes, Array.isArray(collection.layers) ? collection.layers : []);
+    };
+
+    const handleShowDiff = () => {
+        onShowDiff(applyImport(preview, shapes, conflictStrategy).shapes);
+    };
+
+    return (
+        <div style={{
+            position: 'fixed',
+            top: '50%',
+            left: '50%',
+            transform: 'translate(-50%, -50%)',
+            display: hidden ? 'none' : 'flex',
+            width: '420px',
+            maxHeight: '80vh',
+            background: '#ffffff',
+            borderRadius: '12px',
+            boxShadow: '0 8px 24px rgba(0,0,0,0.25)',
+            flexDirection: 'column',
+            zIndex: 1000,
+            overflow: 'hidden',
+            fontSize: '14px',
+            color: '#333'
+        }}>
+            <div style={{
+                padding: '16px 24px',
+                borderBottom: '1px solid #e0e0e0',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                backgroundColor: '#f8f8f8'
+            }}>
+                <h2 style={{ fontSize: '20px', fontWeight: 'bold', color: '#2c3e50', margin: 0 }}>Import GeoJSON</h2>
+                <button
+                    onClick={onClose}
+                    style={{ background: 'none', border: 'none', fontSize: '24px', cursor: 'pointer', color: '#666', padding: '4px' }}
+                    aria-label="Close import"
+                >
+                    &times;
+                </button>
+            </div>
+
+            <div style={{ flexGrow: 1, overflowY: 'auto', padding: '16px 24px' }}>
+                <input type="file" accept=".geojson,.json,application/geo+json,application/json" onChange={handleFileChange} />
+                {fileName && !preview && !error && <p>Reading {fileName}...</p>}
+                {error && <p style={{ color: '#c0392b' }}>{error}</p>}
+
+                {preview && (
+                    <>
+                        <p style={{ margin: '12px 0 0' }}>
+                            <b>{preview.added.length}</b> new, <b>{preview.changed.length}</b> changed, <b>{preview.unchanged.length}</b> unchanged, <b>{preview.conflicts.length}</b> conflicting, <b>{preview.invalid.length}</b> invalid
+                        </p>
+
+                        {preview.added.length > 0 && (
+                            <>
+                                <h3 style={sectionTitleStyle}>New</h3>
+                                <ul style={listStyle}>
+                                    {preview.added.map(feature => <li key={feature.id}>{featureLabel(feature)}</li>)}
+                                </ul>
+                            </>
+                        )}
+
+                        {preview.changed.length > 0 && (
+                            <>
+                                <h3 style={sectionTitleStyle}>Changed</h3>
+                                <ul style={listStyle}>
+                                    {preview.changed.map(({ feature }) => <li key={feature.id}>{featureLabel(feature)}</li>)}
+                                </ul>
+                            </>
+                        )}
+
+                        {preview.conflicts.length > 0 && (
+                            <>
+                                <h3 style={sectionTitleStyle}>Conflicting ids</h3>
+                                <ul style={listStyle}>
+                                    {preview.conflicts.map(({ feature, reason }, index) => (
+                                        <li key={`${feature.id}-${index}`}>{featureLabel(feature)}: {reason}</li>
+                                    ))}
+                                </ul>
+                                <label style={{ display: 'block', marginTop: '8px', fontWeight: '500' }}>
+                                    Conflicting features:
+                                    <select
+                                        value={conflictStrategy}
+                                        onChange={(e) => setConflictStrategy(e.target.value)}
+                                        style={{ width: '100%', padding: '8px', borderRadius: '4px', border: '1px solid #ccc', marginTop: '4px' }}
+                                    >
+                                        <option value="copy">Import as copies with new ids</option>
+                                        <option value="overwrite">Overwrite the shapes on the map</option>
+                                        <option value="skip">Skip them</option>
+                                    </select>
+                                </label>
+                            </>
+                        )}
+
+                        {preview.invalid.length > 0 && (
+                            <>
+                                <h3 style={{ ...sectionTitleStyle, color: '#c0392b' }}>Invalid (will be skipped)</h3>
+                                <ul style={listStyle}>
+                                    {preview.invalid.map(({ index, reason }) => (
+                                        <li key={index}>{index >= 0 ? `Feature #${index + 1}: ` : ''}{reason}</li>
+                                    ))}
+                                </ul>
+                            </>
+                        )}
+                    </>
+                )}
+            </div>
+
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', padding: '12px 24px', borderTop: '1px solid #e0e0e0' }}>
+                <button onClick={onClose} style={{ padding: '8px 16px', borderRadius: '4px', border: '1px solid #ccc', cursor: 'pointer', background: '#fff' }}>
+                    Cancel
+                </button>
+                <button
+                    onClick={handleShowDiff}
+                    disabled={importCount === 0}
+                    style={{ padding: '8px 16px', borderRadius: '4px', border: '1px solid #ccc', cursor: importCount === 0 ? 'default' : 'pointer', background: '#fff' }}
+                >
+                    Show on map
+                </button>
+                <button
+                    onClick={handleImport}
+                    disabled={importCount === 0}
+                    style={{
+                        padding: '8px 16px',
+                        borderRadius: '4px',
+                        border: 'none',
+                        cursor: importCount === 0 ? 'default' : 'pointer',
+                        background: importCount === 0 ? '#9bbcf0' : '#1a73e8',
+                        color: '#fff',
+                        fontWeight: '600'
+                    }}
+                >
+                    Import {importCount > 0 ? importCount : ''} feature{importCount === 1 ? '' : 's'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default ImportDialog;
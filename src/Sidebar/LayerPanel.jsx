@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+import { DEFAULT_LAYER_ID, createLayer, moveLayer } from "../Layers/LayerUtils.jsx";
+
+const iconButtonStyle = {
+    background: 'none',
+    border: 'none',
+    cursor: 'pointer',
+    color: '#555',
+    padding: '2px 4px',
+    fontSize: '14px',
+    lineHeight: 1
+};
+
+// Everyone can show/hide layers for themselves; only canManage (admins) may change the shared definitions
+function LayerPanel({ layers, hiddenLayerIds, activeLayerId, shapeCounts, onLayersChange, onToggleVisibility, onSetActive, onClose, canManage }) {
+    const [newLayerName, setNewLayerName] = useState('');
+    const [renamingId, setRenamingId] = useState(null);
+    const [renameValue, setRenameValue] = useState('');
+    const [zoomEditId, setZoomEditId] = useState(null);
+
+    // Front-most layer first, like in most drawing tools
+    const displayedLayers = [...layers].reverse();
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        const name = newLayerName.trim();
+        if (!name) return;
+        const layer = createLayer(name, layers);
+        onLayersChange([...layers, layer]);
+        onSetActive(layer.id);
+        setNewLayerName('');
+    };
+
+    const commitRename = () => {
+        const name = renameValue.trim();
+        if (name) {
+            onLayersChange(layers.map(layer => layer.id === renamingId ? { ...layer, name } : layer));
+        }
+        setRenamingId(null);
+    };
+
+    const handleDelete = (layer) => {
+        const count = shapeCounts[layer.id] || 0;
+        if (count > 0 && !window.confirm(`Delete layer "${layer.name}"? Its ${count} shape(s) will move to the Default layer.`)) {
+            return;
+        }
+        if (activeLayerId === layer.id) onSetActive(DEFAULT_LAYER_ID);
+        onLayersChange(layers.filter(l => l.id !== layer.id));
+    };
+
+    return (
+        <div style={{
+            position: 'absolute',
+            bottom: '20px',
+            left: '70px',
+            width: '300px',
+            maxHeight: '60vh',
+            background: '#ffffff',
+            borderRadius: '12px',
+            boxShadow: '0 8px 24px rgba(0,0,0,0.25)',
+            display: 'flex',
+            flexDirection: 'column',
+            zIndex: 1000,
+            overflow: 'hidden',
+            fontSize: '14px',
+            color: '#333'
+        }}>
+            <div style={{
+                padding: '12px 16px',
+                borderBottom: '1px solid #e0e0e0',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                backgroundColor: '#f8f8f8'
+            }}>
+                <h2 style={{ fontSize: '18px', fontWeight: 'bold', color: '#2c3e50', margin: 0 }}>Layers</h2>
+                <button onClick={onClose} style={{ ...iconButtonStyle, fontSize: '22px', color: '#666' }} aria-label="Close layers">
+                    &times;
+                </button>
+            </div>
+
+            <div style={{ flexGrow: 1, overflowY: 'auto', padding: '8px 0' }}>
+                {displayedLayers.map((layer, index) => {
+                    const isVisible = !hiddenLayerIds.has(layer.id);
+                    const hasZoomRange = layer.minZoom != null || layer.maxZoom != null;
+                    return (
+                        <React.Fragment key={layer.id}>
+                            <div
+                                style={{
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    gap: '6px',
+                                    padding: '6px 16px',
+                                    backgroundColor: layer.id === activeLayerId ? '#f0f4f8' : 'transparent'
+                                }}
+                            >
+                                <input
+                                    type="checkbox"
+                                    checked={isVisible}
+                                    onChange={() => onToggleVisibility(layer.id)}
+                                    title={isVisible ? 'Hide layer' : 'Show layer'}
+                                />
+                                {renamingId === layer.id ? (
+                                    <input
+                                        autoFocus
+                                        value={renameValue}
+                                        onChange={(e) => setRenameValue(e.target.value)}
+                                        onBlur={commitRename}
+                                        onKeyDown={(e) => {
+                                            if (e.key === 'Enter') commitRename();
+                                            if (e.key === 'Escape') setRenamingId(null);
+                                        }}
+                                        style={{ flex: 1, minWidth: 0, padding: '2px 4px' }}
+                                    />
+                                ) : (
+                                    <span
+                                        onClick={() => onSetActive(layer.id)}
+                                        onDoubleClick={() => {
+                                            if (!canManage) return;
+                                            setRenamingId(layer.id);
+                                            setRenameValue(layer.name);
+                                        }}
+                                        title={canManage ? "Click to draw on this layer, double-click to rename" : "Click to draw on this layer"}
+                                        style={{
+                                            flex: 1,
+                                            minWidth: 0,
+                                            cursor: 'pointer',
+                                            overflow: 'hidden',
+                                            textOverflow: 'ellipsis',
+                                            whiteSpace: 'nowrap',
+                                            fontWeight: layer.id === activeLayerId ? '600' : 'normal',
+                                            color: isVisible ? '#333' : '#999'
+                                        }}
+                                    >
+                                        {layer.name} <span style={{ color: '#999', fontWeight: 'normal' }}>({shapeCounts[layer.id] || 0})</span>
+                                    </span>
+                                )}
+                                <button
+                                    onClick={() => onLayersChange(layers.map(l => l.id === layer.id ? { ...l, locked: !l.locked } : l))}
+                                    disabled={!canManage}
+                                    style={{ ...iconButtonStyle, opacity: layer.locked ? 1 : 0.4 }}
+                                    title={layer.locked ? 'Unlock layer' : 'Lock layer'}
+                                >
+                                    {layer.locked ? '🔒' : '🔓'}
+                                </button>
+                                {canManage && (
+                                    <button
+                                        onClick={() => setZoomEditId(zoomEditId === layer.id ? null : layer.id)}
+                                        style={{ ...iconButtonStyle, opacity: hasZoomRange || zoomEditId === layer.id ? 1 : 0.4 }}
+                                        title="Zoom levels this layer is shown at"
+                                    >
+                                        🔍
+                                    </button>
+                                )}
+                                {canManage && (
+                                    <>
+                                        <button
+                                            onClick={() => onLayersChange(moveLayer(layers, layer.id, 1))}
+                                            disabled={index === 0}
+                                            style={iconButtonStyle}
+                                            title="Bring forward"
+                                        >
+                                            ▲
+                                        </button>
+                                        <button
+                                            onClick={() => onLayersChange(moveLayer(layers, layer.id, -1))}
+                                            disabled={index === displayedLayers.length - 1}
+                                            style={iconButtonStyle}
+                                            title="Send backward"
+                                        >
+                                            ▼
+                                        </button>
+                                        <button
+                                            onClick={() => handleDelete(layer)}
+                                            disabled={layer.id === DEFAULT_LAYER_ID}
+                                            style={{ ...iconButtonStyle, visibility: layer.id === DEFAULT_LAYER_ID ? 'hidden' : 'visible' }}
+                                            title="Delete layer"
+                                        >
+                                            &times;
+                                        </button>
+                                    </>
+                                )}
+                            </div>
+                            {zoomEditId === layer.id && (
+                                <div style={{ display: 'flex', gap: '8px', padding: '4px 16px 8px 40px', fontSize: '13px' }}>
+                                    {[['minZoom', 'From zoom'], ['maxZoom', 'to']].map(([prop, label]) => (
+                                        <label key={prop} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                                            {label}
+                                            <input
+                                                type="number"
+                                                min={-15}
+                                                max={4}
+                                                step={1}
+                                                value={layer[prop] ?? ''}
+                                                placeholder="Any"
+                                                onChange={(e) => onLayersChange(layers.map(l => l.id === layer.id
+                                                    ? { ...l, [prop]: e.target.value === '' ? null : Number(e.target.value) }
+                                                    : l))}
+                                                style={{ width: '52px', padding: '2px 4px' }}
+                                            />
+                                        </label>
+                                    ))}
+                                </div>
+                            )}
+                        </React.Fragment>
+                    );
+                })}
+            </div>
+
+            {canManage && (
+                <form onSubmit={handleAdd} style={{ display: 'flex', gap: '8px', padding: '12px 16px', borderTop: '1px solid #e0e0e0' }}>
+                    <input
+                        type="text"
+                        placeholder="New layer name..."
+                        value={newLayerName}
+                        onChange={(e) => setNewLayerName(e.target.value)}
+                        style={{ flex: 1, padding: '6px 8px', borderRadius: '4px', border: '1px solid #ccc', minWidth: 0 }}
+                    />
+                    <button type="submit" style={{ padding: '6px 12px', borderRadius: '4px', border: '1px solid #ccc', cursor: 'pointer', background: '#f8f8f8' }}>
+                        Add
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+}
+
+export default LayerPanel;
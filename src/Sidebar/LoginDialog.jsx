@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import AuthService from "../Messaging/AuthService.jsx";
+
+const inputStyle = {
+    width: '100%',
+    padding: '10px 12px',
+    borderRadius: '8px',
+    border: '1px solid #ccc',
+    fontSize: '16px',
+    boxSizing: 'border-box',
+    marginTop: '4px'
+};
+
+function LoginDialog({ onClose }) {
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            await AuthService.login(username.trim(), password);
+            onClose();
+        } catch (err) {
+            console.error('Login failed:', err);
+            setError(err.message);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div style={{
+            position: 'fixed',
+            top: '50%',
+            left: '50%',
+            transform: 'translate(-50%, -50%)',
+            width: '350px',
+            background: '#ffffff',
+            borderRadius: '12px',
+            boxShadow: '0 8px 24px rgba(0,0,0,0.25)',
+            zIndex: 1100,
+            overflow: 'hidden',
+            color: '#333'
+        }}>
+            <div style={{ padding: '16px 24px', borderBottom: '1px solid #e0e0e0', backgroundColor: '#f8f8f8' }}>
+                <h2 style={{ fontSize: '20px', fontWeight: 'bold', color: '#2c3e50', margin: 0 }}>Log in to edit</h2>
+            </div>
+            <form onSubmit={handleSubmit} style={{ padding: '16px 24px', display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                <label style={{ fontWeight: '500' }}>
+                    Username
+                    <input autoFocus value={username} onChange={(e) => setUsername(e.target.value)} style={inputStyle} autoComplete="username" />
+                </label>
+                <label style={{ fontWeight: '500' }}>
+                    Password
+                    <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} style={inputStyle} autoComplete="current-password" />
+                </label>
+                {error && <p style={{ margin: 0, color: '#c0392b' }}>{error}</p>}
+                <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px' }}>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        style={{ padding: '8px 16px', borderRadius: '4px', border: '1px solid #ccc', cursor: 'pointer', background: '#fff' }}
+                    >
+                        Continue as viewer
+                    </button>
+                    <button
+                        type="submit"
+                        disabled={isSubmitting || !username.trim()}
+                        style={{ padding: '8px 16px', borderRadius: '4px', border: 'none', cursor: 'pointer', background: '#1a73e8', color: '#fff', fontWeight: '600' }}
+                    >
+                        {isSubmitting ? 'Logging in...' : 'Log in'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+}
+
+export default LoginDialog;
@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import { DEFAULT_MAP_IMAGE, DEFAULT_MAP_SIZE } from "../Maps/MapUtils.jsx";
+
+const iconButtonStyle = {
+    background: 'none',
+    border: 'none',
+    cursor: 'pointer',
+    color: '#555',
+    padding: '2px 4px',
+    fontSize: '14px',
+    lineHeight: 1
+};
+
+const inputStyle = {
+    padding: '6px 8px',
+    borderRadius: '4px',
+    border: '1px solid #ccc',
+    boxSizing: 'border-box',
+    minWidth: 0
+};
+
+const EMPTY_FORM = { id: null, name: '', imageUrl: '', width: DEFAULT_MAP_SIZE, height: DEFAULT_MAP_SIZE };
+
+const formFromMap = (map) => ({
+    id: map.id,
+    name: map.name,
+    imageUrl: '',
+    width: map.bounds[1][1] - map.bounds[0][1],
+    height: map.bounds[1][0] - map.bounds[0][0]
+});
+
+/**
+ * Lists the maps of the server and switches between them. Admins (canManage) also create, edit
+ * and delete maps. A new map starts from the image given here; its base images are edited in
+ * the base map panel afterwards.
+ * @param {{ maps: Array, currentMapId: (string|null), canManage: boolean, onOpen: (mapId: string) => void,
+ *   onSave: (form: { id: (string|null), name: string, imageUrl: string, width: number, height: number }) => Promise<boolean>,
+ *   onDelete: (map: object) => void, onClose: () => void }} props
+ *   onSave creates the map when form.id is null and resolves to whether it worked
+ */
+function MapPicker({ maps, currentMapId, canManage, onOpen, onSave, onDelete, onClose }) {
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+    const isFormValid = form.name.trim() && form.width > 0 && form.height > 0;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!isFormValid || isSaving) return;
+        setIsSaving(true);
+        const saved = await onSave({ ...form, name: form.name.trim(), imageUrl: form.imageUrl.trim() });
+        setIsSaving(false);
+        if (saved) setForm(EMPTY_FORM);
+    };
+
+    return (
+        <div style={{
+            position: 'absolute',
+            bottom: '20px',
+            left: '70px',
+            width: '320px',
+            maxHeight: '70vh',
+            background: '#ffffff',
+            borderRadius: '12px',
+            boxShadow: '0 8px 24px rgba(0,0,0,0.25)',
+            display: 'flex',
+            flexDirection: 'column',
+            zIndex: 1000,
+            overflow: 'hidden',
+            fontSize: '14px',
+            color: '#333'
+        }}>
+            <div style={{
+                padding: '12px 16px',
+                borderBottom: '1px solid #e0e0e0',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                backgroundColor: '#f8f8f8'
+            }}>
+                <h2 style={{ fontSize: '18px', fontWeight: 'bold', color: '#2c3e50', margin: 0 }}>Maps</h2>
+                <button onClick={onClose} style={{ ...iconButtonStyle, fontSize: '22px', color: '#666' }} aria-label="Close maps">
+                    &times;
+                </button>
+            </div>
+
+            <div style={{ flexGrow: 1, overflowY: 'auto', padding: '8px 0' }}>
+                {maps.length === 0 && (
+                    <p style={{ margin: '4px 16px', color: '#666' }}>This server hosts a single map.</p>
+                )}
+                {maps.map(map => (
+                    <div
+                        key={map.id}
+                        style={{
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '6px',
+                            padding: '6px 16px',
+                            backgroundColor: map.id === currentMapId ? '#f0f4f8' : 'transparent'
+                        }}
+                    >
+                        <span
+                            onClick={() => map.id !== currentMapId && onOpen(map.id)}
+                            title={map.id === currentMapId ? 'The map you are on' : 'Open this map'}
+                            style={{
+                                flex: 1,
+                                minWidth: 0,
+                                cursor: map.id === currentMapId ? 'default' : 'pointer',
+                                overflow: 'hidden',
+                                textOverflow: 'ellipsis',
+                                whiteSpace: 'nowrap',
+                                fontWeight: map.id === currentMapId ? '600' : 'normal'
+                            }}
+                        >
+                            {map.name}
+                        </span>
+                        {canManage && (
+                            <>
+                                <button onClick={() => setForm(formFromMap(map))} style={iconButtonStyle} title="Edit map">
+                                    ✎
+                                </button>
+                                <button
+                                    onClick={() => window.confirm(`Delete map "${map.name}" and all of its shapes for everyone?`) && onDelete(map)}
+                                    disabled={maps.length === 1}
+                                    style={{ ...iconButtonStyle, visibility: maps.length === 1 ? 'hidden' : 'visible' }}
+                                    title="Delete map"
+                                >
+                                    &times;
+                                </button>
+                            </>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            {canManage && maps.length > 0 && (
+                <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '8px', padding: '12px 16px', borderTop: '1px solid #e0e0e0' }}>
+                    <strong>{form.id == null ? 'New map' : 'Edit map'}</strong>
+                    <input
+                        type="text"
+                        placeholder="Map name"
+                        value={form.name}
+                        onChange={(e) => updateForm('name', e.target.value)}
+                        aria-label="Map name"
+                        style={inputStyle}
+                    />
+                    {form.id == null && (
+                        <input
+                            type="text"
+                            placeholder={`Base image URL (default ${DEFAULT_MAP_IMAGE})`}
+                            value={form.imageUrl}
+                            onChange={(e) => updateForm('imageUrl', e.target.value)}
+                            aria-label="Base image URL"
+                            style={inputStyle}
+                        />
+                    )}
+                    <div style={{ display: 'flex', gap: '8px' }}>
+                        {[['width', 'Width'], ['height', 'Height']].map(([field, label]) => (
+                            <label key={field} style={{ flex: 1, display: 'flex', flexDirection: 'column', gap: '2px', fontSize: '13px' }}>
+                                {label} (map units)
+                                <input
+                                    type="number"
+                                    min={1}
+                                    value={form[field]}
+                                    onChange={(e) => updateForm(field, Number(e.target.value))}
+                                    style={inputStyle}
+                                />
+                            </label>
+                        ))}
+                    </div>
+                    <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+                        {form.id != null && (
+                            <button type="button" onClick={() => setForm(EMPTY_FORM)} style={{ padding: '6px 12px', borderRadius: '4px', border: '1px solid #ccc', cursor: 'pointer', background: '#fff' }}>
+                                Cancel
+                            </button>
+                        )}
+                        <button type="submit" disabled={!isFormValid || isSaving} style={{ padding: '6px 12px', borderRadius: '4px', border: '1px solid #ccc', cursor: 'pointer', background: '#f8f8f8' }}>
+                            {form.id == null ? 'Create' : 'Save'}
+                        </button>
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+}
+
+export default MapPicker;
@@ -0,0 +1,95 @@
+import React from 'react';
+import { formatArea, formatDistance, formatDuration } from "../Geometry/Measure.jsx";
+
+const modeButtonStyle = (active) => ({
+    flex: 1,
+    padding: '6px 12px',
+    borderRadius: '4px',
+    border: `1px solid ${active ? '#d0d7e0' : '#ccc'}`,
+    cursor: 'pointer',
+    background: active ? '#f0f4f8' : '#fff',
+    color: active ? '#1a73e8' : '#333',
+    fontWeight: active ? '600' : 'normal'
+});
+
+function MeasurePanel({ mode, result, unit, travelSpeeds, onModeChange, onClear, onClose }) {
+    // Travel time along a path; for an area, the walk around its edge
+    const travelDistance = result ? (mode === 'area' ? result.perimeter : result.length) : 0;
+
+    return (
+        <div style={{
+            position: 'absolute',
+            bottom: '20px',
+            left: '70px',
+            width: '300px',
+            background: '#ffffff',
+            borderRadius: '12px',
+            boxShadow: '0 8px 24px rgba(0,0,0,0.25)',
+            display: 'flex',
+            flexDirection: 'column',
+            zIndex: 1000,
+            overflow: 'hidden',
+            fontSize: '14px',
+            color: '#333'
+        }}>
+            <div style={{
+                padding: '12px 16px',
+                borderBottom: '1px solid #e0e0e0',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                backgroundColor: '#f8f8f8'
+            }}>
+                <h2 style={{ fontSize: '18px', fontWeight: 'bold', color: '#2c3e50', margin: 0 }}>Measure</h2>
+                <button onClick={onClose} style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: '22px', color: '#666', lineHeight: 1 }} aria-label="Close measure">
+                    &times;
+                </button>
+            </div>
+
+            <div style={{ padding: '12px 16px', display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                <div style={{ display: 'flex', gap: '8px' }}>
+                    <button onClick={() => onModeChange('distance')} style={modeButtonStyle(mode === 'distance')}>Distance</button>
+                    <button onClick={() => onModeChange('area')} style={modeButtonStyle(mode === 'area')}>Area</button>
+                </div>
+
+                {result ? (
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                        {mode === 'area' ? (
+                            <>
+                                <p style={{ margin: 0, fontWeight: '500' }}>Area: <span style={{ fontWeight: 'normal' }}>{formatArea(result.area, unit)}</span></p>
+                                <p style={{ margin: 0, fontWeight: '500' }}>Perimeter: <span style={{ fontWeight: 'normal' }}>{formatDistance(result.perimeter, unit)}</span></p>
+                            </>
+                        ) : (
+                            <p style={{ margin: 0, fontWeight: '500' }}>Distance: <span style={{ fontWeight: 'normal' }}>{formatDistance(result.length, unit)}</span></p>
+                        )}
+                        {travelSpeeds.length > 0 && travelDistance > 0 && (
+                            <>
+                                <span style={{ marginTop: '8px', fontWeight: '500' }}>{mode === 'area' ? 'Travel time around' : 'Travel time'}:</span>
+                                {travelSpeeds.map(speed => (
+                                    <p key={speed.id} style={{ margin: 0, display: 'flex', justifyContent: 'space-between' }}>
+                                        <span>{speed.name}</span>
+                                        <span>{formatDuration(travelDistance / speed.kmPerHour)}</span>
+                                    </p>
+                                ))}
+                            </>
+                        )}
+                    </div>
+                ) : (
+                    <p style={{ margin: 0, color: '#666' }}>
+                        {mode === 'area' ? 'Click at least three points to measure an area.' : 'Click points along the way to measure a distance.'}
+                        {' '}Double-click or press Enter to finish, Backspace to undo a point.
+                    </p>
+                )}
+
+                <button
+                    onClick={onClear}
+                    style={{ padding: '6px 12px', borderRadius: '4px', border: '1px solid #ccc', cursor: 'pointer', background: '#f8f8f8' }}
+                >
+                    Clear
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default MeasurePanel;
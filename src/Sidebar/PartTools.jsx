@@ -0,0 +1,51 @@
+import React from 'react';
+
+const PART_MODES = {
+    polygon: [
+        { mode: 'part', label: 'Add part' },
+        { mode: 'hole', label: 'Cut hole' }
+    ],
+    polyline: [
+        { mode: 'branch', label: 'Add branch' }
+    ]
+};
+
+const HINTS = {
+    part: 'Draw the new part on the map. It joins any part it overlaps.',
+    hole: 'Draw the hole on the map.',
+    branch: 'Draw the branch on the map.'
+};
+
+const buttonStyle = {
+    flex: 1,
+    padding: '6px 8px',
+    borderRadius: '4px',
+    border: '1px solid #ccc',
+    background: '#fff',
+    cursor: 'pointer'
+};
+
+/**
+ * Buttons to draw an extra part or a hole for a polygon, or a branch for a line.
+ * @param {{ kind: 'polygon'|'polyline', drawingMode: (string|null), onDraw: (mode: string) => void, onCancel: () => void }} props
+ */
+function PartTools({ kind, drawingMode, onDraw, onCancel }) {
+    if (drawingMode) {
+        return (
+            <div style={{ marginBottom: '8px', padding: '8px', borderRadius: '4px', background: '#f0f4f8' }}>
+                <p style={{ margin: '0 0 6px' }}>{HINTS[drawingMode]}</p>
+                <button onClick={onCancel} style={buttonStyle}>Cancel</button>
+            </div>
+        );
+    }
+
+    return (
+        <div style={{ marginBottom: '8px', display: 'flex', gap: '8px' }}>
+            {PART_MODES[kind].map(({ mode, label }) => (
+                <button key={mode} onClick={() => onDraw(mode)} style={buttonStyle}>{label}</button>
+            ))}
+        </div>
+    );
+}
+
+export default PartTools;
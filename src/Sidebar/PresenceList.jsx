@@ -0,0 +1,61 @@
+import React from 'react';
+
+const initials = (name) => (name || '?').split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('');
+
+function Avatar({ person, title, onClick }) {
+    return (
+        <span
+            title={title}
+            onClick={onClick}
+            style={{
+                width: '26px',
+                height: '26px',
+                borderRadius: '50%',
+                background: person.color,
+                color: '#fff',
+                fontSize: '11px',
+                fontWeight: '600',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                border: '2px solid #fff',
+                boxShadow: '0 1px 4px rgba(0, 0, 0, 0.2)',
+                cursor: onClick ? 'pointer' : 'default'
+            }}
+        >
+            {initials(person.name)}
+        </span>
+    );
+}
+
+export default function PresenceList({ user, peers, shapes, onRename }) {
+    const shapeName = (id) => shapes.find(shape => shape.id === id)?.properties.name;
+
+    const describePeer = (peer) => {
+        if (peer.editingId != null) return `${peer.name}: editing ${shapeName(peer.editingId) || 'a shape'}`;
+        if (peer.selectedId != null) return `${peer.name}: viewing ${shapeName(peer.selectedId) || 'a shape'}`;
+        return peer.name;
+    };
+
+    const handleRename = () => {
+        const name = window.prompt('Display name shown to other editors:', user.name);
+        if (name && name.trim()) onRename(name.trim());
+    };
+
+    return (
+        <div style={{
+            position: 'absolute',
+            top: '32px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            zIndex: 1000,
+            display: 'flex',
+            gap: '4px'
+        }}>
+            <Avatar person={user} title={`${user.name} (you), click to rename`} onClick={onRename ? handleRename : undefined} />
+            {peers.map(peer => (
+                <Avatar key={peer.userId} person={peer} title={describePeer(peer)} />
+            ))}
+        </div>
+    );
+}
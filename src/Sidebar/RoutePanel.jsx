@@ -0,0 +1,106 @@
+import React from 'react';
+import { formatDistance, formatDuration } from "../Geometry/Measure.jsx";
+import { ROUTE_TYPE_LABELS } from "../Geometry/Routing.jsx";
+
+const selectStyle = {
+    width: '100%',
+    padding: '6px 8px',
+    borderRadius: '4px',
+    border: '1px solid #ccc',
+    marginTop: '4px',
+    boxSizing: 'border-box'
+};
+
+const optimizeButtonStyle = (active) => ({
+    flex: 1,
+    padding: '6px 12px',
+    borderRadius: '4px',
+    border: `1px solid ${active ? '#d0d7e0' : '#ccc'}`,
+    cursor: 'pointer',
+    background: active ? '#f0f4f8' : '#fff',
+    color: active ? '#1a73e8' : '#333',
+    fontWeight: active ? '600' : 'normal'
+});
+
+function RoutePanel({ markers, shapes, startId, endId, optimize, route, unit, onStartChange, onEndChange, onOptimizeChange, onClose }) {
+    const nameOf = (id) => shapes.find(shape => shape.id === id)?.properties.name;
+
+    const markerSelect = (label, value, onChange) => (
+        <label style={{ display: 'block', fontWeight: '500' }}>
+            {label}:
+            <select value={value ?? ''} onChange={(e) => onChange(e.target.value === '' ? null : markers.find(m => String(m.id) === e.target.value)?.id)} style={selectStyle}>
+                <option value="">Choose a marker...</option>
+                {markers.map(marker => (
+                    <option key={marker.id} value={marker.id}>{marker.properties.name || `Marker ${marker.id}`}</option>
+                ))}
+            </select>
+        </label>
+    );
+
+    return (
+        <div style={{
+            position: 'absolute',
+            bottom: '20px',
+            left: '70px',
+            width: '300px',
+            maxHeight: '70vh',
+            background: '#ffffff',
+            borderRadius: '12px',
+            boxShadow: '0 8px 24px rgba(0,0,0,0.25)',
+            display: 'flex',
+            flexDirection: 'column',
+            zIndex: 1000,
+            overflow: 'hidden',
+            fontSize: '14px',
+            color: '#333'
+        }}>
+            <div style={{
+                padding: '12px 16px',
+                borderBottom: '1px solid #e0e0e0',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                backgroundColor: '#f8f8f8'
+            }}>
+                <h2 style={{ fontSize: '18px', fontWeight: 'bold', color: '#2c3e50', margin: 0 }}>Plan a route</h2>
+                <button onClick={onClose} style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: '22px', color: '#666', lineHeight: 1 }} aria-label="Close route planner">
+                    &times;
+                </button>
+            </div>
+
+            <div style={{ padding: '12px 16px', display: 'flex', flexDirection: 'column', gap: '12px', overflowY: 'auto' }}>
+                {markerSelect('From', startId, onStartChange)}
+                {markerSelect('To', endId, onEndChange)}
+
+                <div style={{ display: 'flex', gap: '8px' }}>
+                    <button onClick={() => onOptimizeChange('time')} style={optimizeButtonStyle(optimize === 'time')}>Fastest</button>
+                    <button onClick={() => onOptimizeChange('distance')} style={optimizeButtonStyle(optimize === 'distance')}>Shortest</button>
+                </div>
+
+                {route ? (
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                        <p style={{ margin: 0, fontWeight: '500' }}>
+                            Total: <span style={{ fontWeight: 'normal' }}>{formatDistance(route.length, unit)}, {formatDuration(route.hours)}</span>
+                        </p>
+                        <ol style={{ margin: '4px 0 0', paddingLeft: '20px', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                            {route.legs.map((leg, index) => (
+                                <li key={index}>
+                                    <span style={{ fontWeight: '500' }}>{ROUTE_TYPE_LABELS[leg.type] || leg.type}</span>
+                                    {leg.shapeId != null && nameOf(leg.shapeId) && <span> &ndash; {nameOf(leg.shapeId)}</span>}
+                                    <br/>
+                                    <span style={{ color: '#666' }}>{formatDistance(leg.length, unit)}, {formatDuration(leg.hours)}</span>
+                                </li>
+                            ))}
+                        </ol>
+                    </div>
+                ) : (
+                    <p style={{ margin: 0, color: '#666' }}>
+                        {markers.length < 2 ? 'Place at least two markers to plan a route between them.' : 'Pick where the journey starts and ends.'}
+                    </p>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default RoutePanel;
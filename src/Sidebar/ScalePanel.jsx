@@ -0,0 +1,211 @@
+import React, { useState } from 'react';
+import { DISTANCE_UNITS, createSpeedId, formatDistance } from "../Geometry/Measure.jsx";
+import { ROUTE_TYPE_LABELS } from "../Geometry/Routing.jsx";
+
+const inputStyle = {
+    padding: '6px 8px',
+    borderRadius: '4px',
+    border: '1px solid #ccc',
+    minWidth: 0
+};
+
+const buttonStyle = {
+    padding: '6px 12px',
+    borderRadius: '4px',
+    border: '1px solid #ccc',
+    cursor: 'pointer',
+    background: '#f8f8f8'
+};
+
+// The scale and travel speeds are shared by everyone on the map, so only canManage (admins) may change them
+function ScalePanel({ settings, unit, canManage, isCalibrating, measuredDistance, onSettingsChange, onToggleCalibration, onClose }) {
+    const [unitsPerKm, setUnitsPerKm] = useState(String(settings.unitsPerKm));
+    const [realDistance, setRealDistance] = useState('');
+    const [realUnit, setRealUnit] = useState(unit);
+    const [speeds, setSpeeds] = useState(settings.travelSpeeds);
+    const [routeSpeeds, setRouteSpeeds] = useState(settings.routeSpeeds);
+
+    const updateSpeed = (id, changes) => setSpeeds(prev => prev.map(speed => speed.id === id ? { ...speed, ...changes } : speed));
+    const speedsChanged = JSON.stringify(speeds) !== JSON.stringify(settings.travelSpeeds)
+        || JSON.stringify(routeSpeeds) !== JSON.stringify(settings.routeSpeeds);
+
+    const applyUnitsPerKm = (e) => {
+        e.preventDefault();
+        const value = Number(unitsPerKm);
+        if (!(value > 0)) return;
+        onSettingsChange({ ...settings, unitsPerKm: value });
+    };
+
+    const applyCalibration = (e) => {
+        e.preventDefault();
+        const km = Number(realDistance) / DISTANCE_UNITS[realUnit].perKm;
+        if (!(km > 0) || !(measuredDistance > 0)) return;
+        const value = measuredDistance / km;
+        onSettingsChange({ ...settings, unitsPerKm: value });
+        onToggleCalibration();
+    };
+
+    return (
+        <div style={{
+            position: 'absolute',
+            bottom: '20px',
+            left: '70px',
+            width: '300px',
+            maxHeight: '70vh',
+            background: '#ffffff',
+            borderRadius: '12px',
+            boxShadow: '0 8px 24px rgba(0,0,0,0.25)',
+            display: 'flex',
+            flexDirection: 'column',
+            zIndex: 1000,
+            overflow: 'hidden',
+            fontSize: '14px',
+            color: '#333'
+        }}>
+            <div style={{
+                padding: '12px 16px',
+                borderBottom: '1px solid #e0e0e0',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                backgroundColor: '#f8f8f8'
+            }}>
+                <h2 style={{ fontSize: '18px', fontWeight: 'bold', color: '#2c3e50', margin: 0 }}>Map scale</h2>
+                <button onClick={onClose} style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: '22px', color: '#666', lineHeight: 1 }} aria-label="Close map scale">
+                    &times;
+                </button>
+            </div>
+
+            <div style={{ padding: '12px 16px', display: 'flex', flexDirection: 'column', gap: '12px', overflowY: 'auto' }}>
+                <p style={{ margin: 0 }}>
+                    1 km = <strong>{Number(settings.unitsPerKm.toPrecision(6))}</strong> map units
+                    <span style={{ color: '#999' }}> (1 map unit = {formatDistance(1 / settings.unitsPerKm, unit)})</span>
+                </p>
+
+                {canManage && (
+                    <>
+                        <form onSubmit={applyUnitsPerKm} style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                            <input
+                                type="number"
+                                min="0"
+                                step="any"
+                                value={unitsPerKm}
+                                onChange={(e) => setUnitsPerKm(e.target.value)}
+                                style={{ ...inputStyle, flex: 1 }}
+                                aria-label="Map units per kilometre"
+                            />
+                            <button type="submit" style={buttonStyle}>Set</button>
+                        </form>
+
+                        <button onClick={onToggleCalibration} style={{ ...buttonStyle, background: isCalibrating ? '#f0f4f8' : '#f8f8f8' }}>
+                            {isCalibrating ? 'Cancel calibration' : 'Calibrate from two points'}
+                        </button>
+
+                        {isCalibrating && (measuredDistance > 0 ? (
+                            <form onSubmit={applyCalibration} style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                                <span>Real distance between the two points:</span>
+                                <div style={{ display: 'flex', gap: '8px' }}>
+                                    <input
+                                        autoFocus
+                                        type="number"
+                                        min="0"
+                                        step="any"
+                                        value={realDistance}
+                                        onChange={(e) => setRealDistance(e.target.value)}
+                                        style={{ ...inputStyle, flex: 1 }}
+                                    />
+                                    <select value={realUnit} onChange={(e) => setRealUnit(e.target.value)} style={inputStyle}>
+                                        {Object.entries(DISTANCE_UNITS).map(([key, { symbol }]) => (
+                                            <option key={key} value={key}>{symbol}</option>
+                                        ))}
+                                    </select>
+                                    <button type="submit" style={buttonStyle}>Apply</button>
+                                </div>
+                            </form>
+                        ) : (
+                            <p style={{ margin: 0, color: '#666' }}>Click two points on the map whose real distance you know.</p>
+                        ))}
+                    </>
+                )}
+
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', borderTop: '1px solid #e0e0e0', paddingTop: '12px' }}>
+                    <span style={{ fontWeight: '500' }}>Travel speeds (km/h)</span>
+                    {canManage ? (
+                        <>
+                            {speeds.map(speed => (
+                                <div key={speed.id} style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                                    <input
+                                        value={speed.name}
+                                        onChange={(e) => updateSpeed(speed.id, { name: e.target.value })}
+                                        style={{ ...inputStyle, flex: 1 }}
+                                        aria-label="Travel mode name"
+                                    />
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="any"
+                                        value={speed.kmPerHour}
+                                        onChange={(e) => updateSpeed(speed.id, { kmPerHour: e.target.value })}
+                                        style={{ ...inputStyle, width: '70px' }}
+                                        aria-label={`${speed.name} speed in km/h`}
+                                    />
+                                    <button
+                                        onClick={() => setSpeeds(prev => prev.filter(s => s.id !== speed.id))}
+                                        style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#555', fontSize: '14px' }}
+                                        title="Remove travel mode"
+                                    >
+                                        &times;
+                                    </button>
+                                </div>
+                            ))}
+                            <button
+                                onClick={() => setSpeeds(prev => [...prev, { id: createSpeedId(prev), name: 'New mode', kmPerHour: 5 }])}
+                                style={buttonStyle}
+                            >
+                                Add travel mode
+                            </button>
+                        </>
+                    ) : settings.travelSpeeds.map(speed => (
+                        <p key={speed.id} style={{ margin: 0, display: 'flex', justifyContent: 'space-between' }}>
+                            <span>{speed.name}</span>
+                            <span>{speed.kmPerHour} km/h</span>
+                        </p>
+                    ))}
+                </div>
+
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', borderTop: '1px solid #e0e0e0', paddingTop: '12px' }}>
+                    <span style={{ fontWeight: '500' }}>Route planner speeds (km/h)</span>
+                    {Object.entries(ROUTE_TYPE_LABELS).map(([type, label]) => (
+                        <div key={type} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+                            <span>{label}</span>
+                            {canManage ? (
+                                <input
+                                    type="number"
+                                    min="0"
+                                    step="any"
+                                    value={routeSpeeds[type]}
+                                    onChange={(e) => setRouteSpeeds(prev => ({ ...prev, [type]: e.target.value }))}
+                                    style={{ ...inputStyle, width: '70px' }}
+                                    aria-label={`${label} speed in km/h`}
+                                />
+                            ) : (
+                                <span>{settings.routeSpeeds[type]} km/h</span>
+                            )}
+                        </div>
+                    ))}
+                    {canManage && (
+                        <button
+                            onClick={() => onSettingsChange({ ...settings, travelSpeeds: speeds, routeSpeeds })}
+                            disabled={!speedsChanged}
+                            style={buttonStyle}
+                        >
+                            Save speeds
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ScalePanel;
@@ -0,0 +1,193 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { getShapeLayerId } from "../Layers/LayerUtils.jsx";
+import { buildSearchIndex, getShapeKind, searchShapes } from "../Utils/Search.jsx";
+
+// Enough to find anything by typing a little more, few enough to stay quick to render
+const MAX_RESULTS = 200;
+
+const KIND_GROUPS = [['area', 'Areas'], ['line', 'Lines'], ['point', 'Markers']];
+
+const groupButtonStyle = (active) => ({
+    padding: '4px 10px',
+    borderRadius: '4px',
+    border: '1px solid #ccc',
+    background: active ? '#2c3e50' : '#fff',
+    color: active ? '#fff' : '#333',
+    cursor: 'pointer',
+    fontSize: '13px'
+});
+
+/**
+ * Searches every shape by name, description and attributes. Arrow keys move through the
+ * results, Enter picks one, Escape closes.
+ * @param {{ shapes: Array, layers: Array, onSelect: (shape: object) => void, onClose: () => void }} props
+ */
+function SearchPopup({ shapes, layers, onSelect, onClose }) {
+    const [searchTerm, setSearchTerm] = useState('');
+    const [groupBy, setGroupBy] = useState('kind'); // 'kind' or 'layer'
+    const [activeIndex, setActiveIndex] = useState(0);
+    const activeItemRef = useRef(null);
+
+    const index = useMemo(() => buildSearchIndex(shapes), [shapes]);
+    const results = useMemo(() => searchShapes(index, searchTerm), [index, searchTerm]);
+    const shownResults = results.slice(0, MAX_RESULTS);
+
+    // Best match first within each group; layers front to back as in the layer panel
+    const groups = (groupBy === 'kind'
+        ? KIND_GROUPS.map(([kind, title]) => ({ key: kind, title, results: shownResults.filter(result => getShapeKind(result.shape) === kind) }))
+        : [...layers].reverse().map(layer => ({ key: layer.id, title: layer.name, results: shownResults.filter(result => getShapeLayerId(result.shape, layers) === layer.id) }))
+    ).filter(group => group.results.length > 0);
+    const orderedResults = groups.flatMap(group => group.results);
+
+    useEffect(() => {
+        activeItemRef.current?.scrollIntoView({ block: 'nearest' });
+    }, [activeIndex, groupBy]);
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (orderedResults.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setActiveIndex(prev => (prev + step + orderedResults.length) % orderedResults.length);
+        } else if (e.key === 'Enter') {
+            const result = orderedResults[Math.min(activeIndex, orderedResults.length - 1)];
+            if (result) onSelect(result.shape);
+        } else if (e.key === 'Escape') {
+            onClose();
+        }
+    };
+
+    let position = 0;
+
+    return (
+        <div style={{
+            position: 'fixed',
+            top: '50%',
+            left: '50%',
+            transform: 'translate(-50%, -50%)',
+            width: '380px',
+            maxHeight: '80vh',
+            background: '#ffffff',
+            borderRadius: '12px',
+            boxShadow: '0 8px 24px rgba(0,0,0,0.25)',
+            display: 'flex',
+            flexDirection: 'column',
+            zIndex: 1000,
+            overflow: 'hidden'
+        }}>
+            <div style={{
+                padding: '16px 24px',
+                borderBottom: '1px solid #e0e0e0',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                backgroundColor: '#f8f8f8',
+                borderTopLeftRadius: '12px',
+                borderTopRightRadius: '12px'
+            }}>
+                <h2 style={{ fontSize: '20px', fontWeight: 'bold', color: '#2c3e50', margin: 0 }}>Search</h2>
+                <button
+                    onClick={onClose}
+                    style={{
+                        background: 'none',
+                        border: 'none',
+                        fontSize: '24px',
+                        cursor: 'pointer',
+                        color: '#666',
+                        padding: '4px',
+                        borderRadius: '50%',
+                        transition: 'background-color 0.2s ease',
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center'
+                    }}
+                >
+                    &times;
+                </button>
+            </div>
+
+            <div style={{ padding: '16px 24px', borderBottom: '1px solid #e0e0e0', display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                <input
+                    type="text"
+                    placeholder="Search names, descriptions, attributes..."
+                    value={searchTerm}
+                    onChange={(e) => {
+                        setSearchTerm(e.target.value);
+                        setActiveIndex(0);
+                    }}
+                    onKeyDown={handleKeyDown}
+                    autoFocus
+                    aria-label="Search shapes"
+                    style={{
+                        width: '100%',
+                        padding: '10px 12px',
+                        borderRadius: '8px',
+                        border: '1px solid #ccc',
+                        fontSize: '16px',
+                        boxSizing: 'border-box'
+                    }}
+                />
+                <div style={{ display: 'flex', gap: '6px', alignItems: 'center', fontSize: '13px', color: '#555' }}>
+                    Group by
+                    <button onClick={() => { setGroupBy('kind'); setActiveIndex(0); }} style={groupButtonStyle(groupBy === 'kind')}>Type</button>
+                    <button onClick={() => { setGroupBy('layer'); setActiveIndex(0); }} style={groupButtonStyle(groupBy === 'layer')}>Layer</button>
+                </div>
+            </div>
+
+            <div style={{ flexGrow: 1, overflowY: 'auto', padding: '8px 0 16px' }}>
+                {groups.length === 0 && (
+                    <p style={{
+                        color: '#6b7280',
+                        textAlign: 'center',
+                        padding: '16px 0'
+                    }}>No matching shapes found.</p>
+                )}
+                {groups.map(group => (
+                    <div key={group.key}>
+                        <div style={{ padding: '8px 24px 4px', fontSize: '12px', fontWeight: '600', color: '#6b7280', textTransform: 'uppercase' }}>
+                            {group.title} ({group.results.length})
+                        </div>
+                        {group.results.map(result => {
+                            const isActive = position++ === activeIndex;
+                            return (
+                                <button
+                                    key={result.shape.id}
+                                    ref={isActive ? activeItemRef : null}
+                                    onClick={() => onSelect(result.shape)}
+                                    style={{
+                                        width: '100%',
+                                        padding: '6px 24px',
+                                        display: 'flex',
+                                        alignItems: 'center',
+                                        gap: '10px',
+                                        border: 'none',
+                                        background: isActive ? '#eef3fb' : 'transparent',
+                                        cursor: 'pointer',
+                                        textAlign: 'left'
+                                    }}
+                                >
+                                    <span style={{ width: '12px', height: '12px', borderRadius: '50%', flexShrink: 0, backgroundColor: result.shape.properties.color || '#3388ff' }} />
+                                    <span style={{ minWidth: 0 }}>
+                                        <span style={{ display: 'block', fontWeight: '600', color: '#2c3e50', fontSize: '15px' }}>{result.name}</span>
+                                        {result.detail && (
+                                            <span style={{ display: 'block', color: '#6b7280', fontSize: '12px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                                {result.detail}
+                                            </span>
+                                        )}
+                                    </span>
+                                </button>
+                            );
+                        })}
+                    </div>
+                ))}
+                {results.length > MAX_RESULTS && (
+                    <p style={{ color: '#6b7280', textAlign: 'center', fontSize: '13px', margin: '8px 0 0' }}>
+                        Showing the first {MAX_RESULTS} of {results.length}, type more to narrow down.
+                    </p>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default SearchPopup;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { BOOLEAN_OPERATIONS } from "../Geometry/BooleanOps.jsx";
+
+const selectStyle = {
+    width: '100%',
+    padding: '8px',
+    borderRadius: '4px',
+    border: '1px solid #ccc',
+    marginTop: '4px',
+    boxSizing: 'border-box'
+};
+
+/**
+ * Merge, subtract, clip or split the selected polygon against another shape.
+ * @param {{ polygons: Array<object>, editablePolygons: Array<object>, polylines: Array<object>, onApply: (operation: string, targetId: *) => void }} props
+ *   the shapes the selected polygon can be combined with; a merge only offers the editable polygons
+ */
+function TerritoryTools({ polygons, editablePolygons, polylines, onApply }) {
+    const [operation, setOperation] = useState('union');
+    const [targetId, setTargetId] = useState('');
+
+    const { target: targetType, consumesTarget } = BOOLEAN_OPERATIONS[operation];
+    const candidates = targetType === 'polyline' ? polylines : (consumesTarget ? editablePolygons : polygons);
+    const target = candidates.find(shape => String(shape.id) === targetId);
+
+    const apply = () => {
+        if (!target) return;
+        onApply(operation, target.id);
+        setTargetId('');
+    };
+
+    return (
+        <div style={{ marginBottom: '8px' }}>
+            <span style={{ display: 'block', marginBottom: '4px', fontWeight: '500' }}>Territory:</span>
+            <select
+                value={operation}
+                onChange={(e) => { setOperation(e.target.value); setTargetId(''); }}
+                aria-label="Territory operation"
+                style={selectStyle}
+            >
+                {Object.entries(BOOLEAN_OPERATIONS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                ))}
+            </select>
+            <select
+                value={targetId}
+                onChange={(e) => setTargetId(e.target.value)}
+                aria-label="Other shape"
+                style={selectStyle}
+            >
+                <option value="">{candidates.length ? `Choose a ${targetType}...` : `No ${targetType}s to use`}</option>
+                {candidates.map(shape => (
+                    <option key={shape.id} value={shape.id}>{shape.properties.name || `Shape ${shape.id}`}</option>
+                ))}
+            </select>
+            <button
+                onClick={apply}
+                disabled={!target}
+                style={{
+                    marginTop: '8px',
+                    width: '100%',
+                    padding: '8px',
+                    borderRadius: '4px',
+                    border: '1px solid #ccc',
+                    background: target ? '#f0f4f8' : '#f8f8f8',
+                    color: target ? '#1a73e8' : '#999',
+                    cursor: target ? 'pointer' : 'default',
+                    fontWeight: '500'
+                }}
+            >
+                Apply
+            </button>
+        </div>
+    );
+}
+
+export default TerritoryTools;
@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+
+const inputStyle = {
+    padding: '6px 8px',
+    borderRadius: '4px',
+    border: '1px solid #ccc',
+    boxSizing: 'border-box'
+};
+
+const smallButtonStyle = {
+    padding: '4px 8px',
+    borderRadius: '4px',
+    border: '1px solid #ccc',
+    background: '#fff',
+    cursor: 'pointer'
+};
+
+/**
+ * Shows the map as it was on an in-game date, and saves, compares and restores snapshots.
+ * @param {{ dates: string[], date: (string|null), snapshots: Array, canRestore: boolean,
+ *   onDateChange: (date: (string|null)) => void, onSaveSnapshot: (name: string) => void, onCompareSnapshot: (snapshot: object) => void,
+ *   onRestoreSnapshot: (snapshot: object) => void, onDeleteSnapshot: (id: string) => void, onClose: () => void }} props
+ *   date is null while every shape is shown regardless of its dates
+ */
+function TimelinePanel({ dates, date, snapshots, canRestore, onDateChange, onSaveSnapshot, onCompareSnapshot, onRestoreSnapshot, onDeleteSnapshot, onClose }) {
+    const [snapshotName, setSnapshotName] = useState('');
+
+    // The slider sits on the last change at or before the chosen date
+    const sliderIndex = date ? dates.filter(d => d <= date).length - 1 : -1;
+
+    const saveSnapshot = (e) => {
+        e.preventDefault();
+        const name = snapshotName.trim();
+        if (!name) return;
+        onSaveSnapshot(name);
+        setSnapshotName('');
+    };
+
+    return (
+        <div style={{
+            position: 'absolute',
+            bottom: '20px',
+            left: '70px',
+            width: '320px',
+            maxHeight: '70vh',
+            background: '#ffffff',
+            borderRadius: '12px',
+            boxShadow: '0 8px 24px rgba(0,0,0,0.25)',
+            display: 'flex',
+            flexDirection: 'column',
+            zIndex: 1000,
+            overflow: 'hidden',
+            fontSize: '14px',
+            color: '#333'
+        }}>
+            <div style={{
+                padding: '12px 16px',
+                borderBottom: '1px solid #e0e0e0',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                backgroundColor: '#f8f8f8'
+            }}>
+                <h2 style={{ fontSize: '18px', fontWeight: 'bold', color: '#2c3e50', margin: 0 }}>Timeline</h2>
+                <button onClick={onClose} style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: '22px', color: '#666', lineHeight: 1 }} aria-label="Close timeline">
+                    &times;
+                </button>
+            </div>
+
+            <div style={{ padding: '12px 16px', display: 'flex', flexDirection: 'column', gap: '12px', overflowY: 'auto' }}>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontWeight: '500' }}>
+                    <input
+                        type="checkbox"
+                        checked={date != null}
+                        onChange={(e) => onDateChange(e.target.checked ? (dates[dates.length - 1] || new Date().toISOString().slice(0, 10)) : null)}
+                    />
+                    Show the map on a date
+                </label>
+
+                {date != null && (
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                        {dates.length > 1 && (
+                            <input
+                                type="range"
+                                min={0}
+                                max={dates.length - 1}
+                                value={Math.max(sliderIndex, 0)}
+                                onChange={(e) => onDateChange(dates[Number(e.target.value)])}
+                                aria-label="Timeline"
+                            />
+                        )}
+                        <input
+                            type="date"
+                            value={date}
+                            onChange={(e) => e.target.value && onDateChange(e.target.value)}
+                            aria-label="In-game date"
+                            style={inputStyle}
+                        />
+                        <p style={{ margin: 0, color: '#666' }}>
+                            Shapes with a "from" or "until" date outside this day are hidden. Closing the timeline shows everything again.
+                        </p>
+                    </div>
+                )}
+
+                <div style={{ borderTop: '1px solid #e0e0e0', paddingTop: '12px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                    <h3 style={{ fontSize: '16px', fontWeight: 'bold', margin: 0, color: '#2c3e50' }}>Snapshots</h3>
+                    <form onSubmit={saveSnapshot} style={{ display: 'flex', gap: '8px' }}>
+                        <input
+                            type="text"
+                            value={snapshotName}
+                            onChange={(e) => setSnapshotName(e.target.value)}
+                            placeholder="Snapshot name"
+                            aria-label="Snapshot name"
+                            style={{ ...inputStyle, flex: 1 }}
+                        />
+                        <button type="submit" disabled={!snapshotName.trim()} style={smallButtonStyle}>Save</button>
+                    </form>
+
+                    {snapshots.length === 0 ? (
+                        <p style={{ margin: 0, color: '#666' }}>No snapshots yet. They are kept in this browser.</p>
+                    ) : (
+                        <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                            {snapshots.map(snapshot => (
+                                <li key={snapshot.id} style={{ padding: '8px', borderRadius: '6px', background: '#f8f8f8' }}>
+                                    <div style={{ fontWeight: '500' }}>{snapshot.name}</div>
+                                    <div style={{ color: '#666', fontSize: '12px' }}>
+                                        {new Date(snapshot.createdAt).toLocaleString()} &middot; {snapshot.shapes.length} shapes
+                                    </div>
+                                    <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+                                        <button onClick={() => onCompareSnapshot(snapshot)} style={smallButtonStyle}>Compare with live</button>
+                                        {canRestore && (
+                                            <button
+                                                onClick={() => window.confirm(`Restore "${snapshot.name}" for everyone? Shapes added since will be removed.`) && onRestoreSnapshot(snapshot)}
+                                                style={smallButtonStyle}
+                                            >
+                                                Restore
+                                            </button>
+                                        )}
+                                        <button onClick={() => onDeleteSnapshot(snapshot.id)} style={{ ...smallButtonStyle, color: '#c0392b' }}>Delete</button>
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default TimelinePanel;
@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from 'react';
+import { subscribeToasts } from "../Utils/Toasts.jsx";
+
+const TOAST_DURATION_MS = 5000;
+
+export default function ToastContainer() {
+    const [toasts, setToasts] = useState([]);
+
+    useEffect(() => {
+        const timeouts = new Set();
+        const unsubscribe = subscribeToasts((toast) => {
+            setToasts(prev => [...prev, toast]);
+            const timeout = setTimeout(() => {
+                timeouts.delete(timeout);
+                setToasts(prev => prev.filter(t => t.id !== toast.id));
+            }, TOAST_DURATION_MS);
+            timeouts.add(timeout);
+        });
+        return () => {
+            unsubscribe();
+            timeouts.forEach(clearTimeout);
+        };
+    }, []);
+
+    return (
+        <div style={{
+            position: 'fixed',
+            bottom: '20px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            zIndex: 1200,
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '8px',
+            alignItems: 'center',
+            pointerEvents: 'none'
+        }}>
+            {toasts.map(toast => (
+                <div
+                    key={toast.id}
+                    role={toast.kind === 'error' ? 'alert' : 'status'}
+                    style={{
+                        padding: '10px 16px',
+                        borderRadius: '8px',
+                        background: toast.kind === 'error' ? '#c0392b' : '#2c3e50',
+                        color: '#fff',
+                        fontSize: '14px',
+                        boxShadow: '0 4px 12px rgba(0,0,0,0.25)',
+                        maxWidth: '420px'
+                    }}
+                >
+                    {toast.text}
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,96 @@
+// Html.jsx
+
+// Tags the description editor can produce. Anything else is unwrapped (children kept) or,
+// for the tags in DROPPED_TAGS, removed together with its content.
+const ALLOWED_TAGS = new Set([
+    'p', 'br', 'h1', 'h2', 'h3', 'strong', 'b', 'em', 'i', 'u', 's',
+    'a', 'ul', 'ol', 'li', 'blockquote', 'span'
+]);
+const DROPPED_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'link', 'meta', 'template', 'svg', 'math']);
+const ALLOWED_CLASS = /^ql-(indent-\d|align-(center|right|justify))$/;
+const SAFE_URL = /^(https?:|mailto:|\/|#)/i;
+
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function sanitizeNode(node) {
+    Array.from(node.childNodes).forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) return;
+        if (child.nodeType !== Node.ELEMENT_NODE) {
+            child.remove();
+            return;
+        }
+
+        const tag = child.tagName.toLowerCase();
+        // Quill's list markers are editor chrome, not content
+        if (DROPPED_TAGS.has(tag) || child.classList.contains('ql-ui')) {
+            child.remove();
+            return;
+        }
+
+        sanitizeNode(child);
+
+        if (!ALLOWED_TAGS.has(tag)) {
+            child.replaceWith(...child.childNodes);
+            return;
+        }
+
+        const listType = child.getAttribute('data-list');
+        const classes = Array.from(child.classList).filter(c => ALLOWED_CLASS.test(c));
+        Array.from(child.attributes).forEach(attr => {
+            if (tag === 'a' && attr.name === 'href' && SAFE_URL.test(attr.value.trim())) return;
+            child.removeAttribute(attr.name);
+        });
+
+        if (tag === 'a') {
+            child.setAttribute('target', '_blank');
+            child.setAttribute('rel', 'noopener noreferrer');
+        }
+
+        if (classes.length > 0) child.className = classes.join(' ');
+
+        // Quill 2 renders every list as <ol> and marks bullets per item; store plain <ul> instead
+        if (tag === 'li' && listType === 'bullet') child.setAttribute('data-bullet', '');
+    });
+}
+
+/**
+ * Strips an HTML fragment down to the formatting the description editor supports.
+ * Safe to inject into popups: no scripts, event handlers, styles or javascript: links survive.
+ * @param {string} html
+ * @returns {string}
+ */
+export function sanitizeHtml(html) {
+    if (!html) return '';
+    const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    sanitizeNode(doc.body);
+
+    doc.body.querySelectorAll('ol').forEach(list => {
+        const items = Array.from(list.children);
+        if (items.length > 0 && items.every(item => item.hasAttribute('data-bullet'))) {
+            const ul = doc.createElement('ul');
+            ul.append(...list.childNodes);
+            list.replaceWith(ul);
+        }
+    });
+    doc.body.querySelectorAll('[data-bullet]').forEach(item => item.removeAttribute('data-bullet'));
+    return doc.body.innerHTML;
+}
+
+/**
+ * The text of an HTML fragment, blocks separated by spaces, for searching and previews.
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+    if (!html) return '';
+    const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    doc.body.querySelectorAll('p, h1, h2, h3, li, blockquote, br').forEach(element => element.append(' '));
+    return doc.body.textContent.replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,165 @@
+// Search.jsx
+// Fuzzy search over every shape: its name, its description and whatever other attributes it
+// carries, typically from an imported GeoJSON file. Each word of the query has to match one of
+// them, as a substring, as letters in order ("nrth" finds "North") or with a typo.
+import { htmlToText } from "./Html.jsx";
+
+// Properties the app keeps for itself; name and description are searched on their own
+const INTERNAL_PROPERTIES = new Set([
+    'id', 'name', 'description', 'type', 'color', 'customType', 'customFillType', 'layerId', 'radius',
+    'version', 'updatedAt', 'simplify', 'minZoom', 'maxZoom', 'validFrom', 'validTo', 'owner'
+]);
+
+const FIELD_WEIGHTS = { name: 3, attribute: 1.5, description: 1 };
+
+// Lower case without accents; one character per character of the text, so indexes carry over
+const normalize = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Optimal string alignment distance, giving up past max
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+            nextRow.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        previousRow = row;
+        row = nextRow;
+    }
+    return row[b.length];
+};
+
+/**
+ * How well a query word matches a normalized text, from 0 (not at all) to 1.2 (the whole text).
+ * @returns {{ score: number, index: number }} index where the match starts in the text
+ */
+const matchWord = (word, text, words) => {
+    const index = text.indexOf(word);
+    if (index >= 0) {
+        if (word.length === text.length) return { score: 1.2, index };
+        const atWordStart = index === 0 || !/[a-z0-9]/.test(text[index - 1]);
+        return { score: atWordStart ? 1 : 0.8, index };
+    }
+
+    // Letters in order, closer together scoring higher
+    let first = -1;
+    let position = -1;
+    for (const char of word) {
+        position = text.indexOf(char, position + 1);
+        if (position < 0) break;
+        if (first < 0) first = position;
+    }
+    if (position >= 0 && word.length > 1) {
+        const span = position - first + 1;
+        if (span <= word.length * 2) return { score: 0.6 * word.length / span, index: first };
+    }
+
+    // A typo or two in longer words
+    if (word.length >= 4) {
+        const maxDistance = word.length >= 8 ? 2 : 1;
+        const typo = words.find(({ token }) => editDistance(word, token, maxDistance) <= maxDistance);
+        if (typo) return { score: 0.4, index: typo.index };
+    }
+    return { score: 0, index: -1 };
+};
+
+const tokenize = (text) => [...text.matchAll(/[a-z0-9]+/g)].map(match => ({ token: match[0], index: match.index }));
+
+const createField = (kind, label, text) => {
+    const normalized = normalize(text);
+    return { kind, label, text, normalized, words: tokenize(normalized) };
+};
+
+/**
+ * What is searched for each shape, built once per shape list.
+ * @param {Array} shapes
+ * @returns {Array<{ shape: object, name: string, fields: Array }>}
+ */
+export function buildSearchIndex(shapes) {
+    const seenIds = new Set();
+    return shapes
+        .filter(shape => {
+            if (seenIds.has(shape.id)) return false;
+            seenIds.add(shape.id);
+            return true;
+        })
+        .map(shape => {
+            const properties = shape.properties || {};
+            const name = String(properties.name || 'Unnamed');
+            const fields = [createField('name', 'Name', name)];
+            const description = htmlToText(properties.description);
+            if (description) fields.push(createField('description', 'Description', description));
+            Object.entries(properties).forEach(([key, value]) => {
+                if (INTERNAL_PROPERTIES.has(key) || value == null || typeof value === 'object') return;
+                fields.push(createField('attribute', key, String(value)));
+            });
+            return { shape, name, fields };
+        });
+}
+
+// A short piece of the text around the match
+const snippet = (text, index) => {
+    if (text.length <= 60) return text;
+    const start = Math.max(0, index - 20);
+    return `${start > 0 ? '…' : ''}${text.slice(start, start + 60).trim()}${start + 60 < text.length ? '…' : ''}`;
+};
+
+/**
+ * Shapes matching every word of the query, best first; every shape by name for an empty query.
+ * @param {Array} index from buildSearchIndex
+ * @param {string} query
+ * @returns {Array<{ shape: object, name: string, score: number, detail: (string|null) }>}
+ *   detail shows where the match was found when it wasn't the name
+ */
+export function searchShapes(index, query) {
+    const queryWords = normalize(query).split(/[^a-z0-9]+/).filter(Boolean);
+    if (queryWords.length === 0) {
+        return index
+            .map(({ shape, name }) => ({ shape, name, score: 0, detail: null }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    const results = [];
+    index.forEach(({ shape, name, fields }) => {
+        let score = 0;
+        let detail = null;
+        const matchesEveryWord = queryWords.every(word => {
+            let best = null;
+            fields.forEach(field => {
+                const match = matchWord(word, field.normalized, field.words);
+                const weighted = match.score * FIELD_WEIGHTS[field.kind];
+                if (match.score > 0 && (!best || weighted > best.weighted)) best = { field, index: match.index, weighted };
+            });
+            if (!best) return false;
+            score += best.weighted;
+            if (!detail && best.field.kind !== 'name') {
+                detail = `${best.field.label}: ${snippet(best.field.text, best.index)}`;
+            }
+            return true;
+        });
+        if (matchesEveryWord) results.push({ shape, name, score, detail });
+    });
+    return results.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+}
+
+/**
+ * Areas, lines or points, from the geometry so imported shapes sort the same as drawn ones.
+ * @returns {('area'|'line'|'point')}
+ */
+export function getShapeKind(shape) {
+    const type = shape.geometry?.type;
+    if (type === 'Polygon' || type === 'MultiPolygon') return 'area';
+    if (type === 'LineString' || type === 'MultiLineString') return 'line';
+    // Circles travel as a point with a radius
+    return shape.properties?.radius > 0 ? 'area' : 'point';
+}
@@ -0,0 +1,20 @@
+// Toasts.jsx
+
+const listeners = new Set();
+let nextId = 1;
+
+/**
+ * Shows a short message to the user through the mounted ToastContainer.
+ * Callable from anywhere, including the messaging services outside React.
+ * @param {string} text
+ * @param {'info'|'error'} [kind]
+ */
+export function showToast(text, kind = 'info') {
+    const toast = { id: nextId++, text, kind };
+    listeners.forEach(listener => listener(toast));
+}
+
+export function subscribeToasts(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}